@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import { API_CONFIG } from "./config.js";
+import { db } from "./db.js";
+
+// API key authentication
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+const rateLimitWindows = new Map();
+
+// Fixed one-minute window per key
+function isRateLimited(apiKey) {
+  const limit = apiKey.rate_limit_per_minute ?? API_CONFIG.rateLimitPerMinute;
+  const now = Date.now();
+  const window = rateLimitWindows.get(apiKey.id);
+
+  if (!window || now - window.start >= 60000) {
+    rateLimitWindows.set(apiKey.id, { start: now, count: 1 });
+    return false;
+  }
+
+  window.count += 1;
+  return window.count > limit;
+}
+
+// Require an API key (Authorization: Bearer <key> or X-API-Key) with the
+// given scope; admin keys pass every scope check
+export function requireApiKey(scope) {
+  return async (req, res, next) => {
+    try {
+      const header = req.get("Authorization") || "";
+      const key = header.startsWith("Bearer ")
+        ? header.slice(7)
+        : req.get("X-API-Key");
+
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          error: "API key required",
+        });
+      }
+
+      const apiKey = await db.get(
+        "SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL",
+        [hashApiKey(key)]
+      );
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid API key",
+        });
+      }
+
+      const scopes = apiKey.scopes.split(",");
+      if (!scopes.includes("admin") && !scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key lacks the "${scope}" scope`,
+        });
+      }
+
+      if (isRateLimited(apiKey)) {
+        res.set("Retry-After", "60");
+        return res.status(429).json({
+          success: false,
+          error: "Rate limit exceeded",
+        });
+      }
+
+      await db.run(
+        "UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [apiKey.id]
+      );
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error("API key check failed:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to authenticate request",
+      });
+    }
+  };
+}
+
+function hashRequestBody(req) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(req.body ?? {}))
+    .digest("hex");
+}
+
+// Replay the stored response for a repeated Idempotency-Key, or claim the key
+// for this request. Returns a function that stores the final response, or
+// null if a response has already been sent. A stored error frees the key for
+// a retry unless it's stored with `retryable: false`.
+export async function beginIdempotentRequest(req, res) {
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (!idempotencyKey) {
+    return async () => {};
+  }
+  const requestHash = hashRequestBody(req);
+
+  const { changes } = await db.run(
+    `INSERT OR IGNORE INTO idempotency_keys
+       (api_key_id, idempotency_key, status, request_hash, started_at)
+     VALUES (?, ?, 'pending', ?, CURRENT_TIMESTAMP)`,
+    [req.apiKey.id, idempotencyKey, requestHash]
+  );
+
+  if (!changes) {
+    const existing = await db.get(
+      `SELECT *,
+         COALESCE(started_at, created_at) <= datetime('now', ?) AS expired
+       FROM idempotency_keys WHERE api_key_id = ? AND idempotency_key = ?`,
+      [
+        `-${API_CONFIG.idempotencyPendingMinutes} minutes`,
+        req.apiKey.id,
+        idempotencyKey,
+      ]
+    );
+
+    if (existing.request_hash && existing.request_hash !== requestHash) {
+      res.status(422).json({
+        success: false,
+        error: "This Idempotency-Key was already used for a different request",
+      });
+      return null;
+    }
+    if (existing.status === "completed") {
+      res.set("Idempotent-Replayed", "true");
+      res.status(existing.response_status).json(JSON.parse(existing.response_body));
+      return null;
+    }
+    // A request that stopped without a response (e.g. a restart) frees its
+    // key after a while, unless it got as far as creating a bounty
+    if (
+      existing.status === "pending" &&
+      (!existing.expired || existing.bounty_id !== null)
+    ) {
+      res.status(409).json({
+        success: false,
+        error:
+          existing.bounty_id === null
+            ? "A request with this Idempotency-Key is still in progress"
+            : `A request with this Idempotency-Key created draft ${existing.bounty_id} and has not finished`,
+      });
+      return null;
+    }
+
+    // A failed attempt may be retried with the same key
+    const { changes: claimed } = await db.run(
+      `UPDATE idempotency_keys SET
+         status = 'pending', request_hash = ?, bounty_id = NULL,
+         started_at = CURRENT_TIMESTAMP
+       WHERE api_key_id = ? AND idempotency_key = ? AND status = ?`,
+      [requestHash, req.apiKey.id, idempotencyKey, existing.status]
+    );
+    if (!claimed) {
+      res.status(409).json({
+        success: false,
+        error: "A request with this Idempotency-Key is still in progress",
+      });
+      return null;
+    }
+  }
+
+  return async (status, body, { retryable = status >= 400 } = {}) => {
+    await db.run(
+      `UPDATE idempotency_keys SET status = ?, response_status = ?, response_body = ?
+       WHERE api_key_id = ? AND idempotency_key = ?`,
+      [
+        retryable ? "failed" : "completed",
+        status,
+        JSON.stringify(body),
+        req.apiKey.id,
+        idempotencyKey,
+      ]
+    );
+  };
+}
+
+// Remember the bounty row an idempotent request created
+export async function linkIdempotentRequest(req, bountyId) {
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (!idempotencyKey) {
+    return;
+  }
+  await db.run(
+    "UPDATE idempotency_keys SET bounty_id = ? WHERE api_key_id = ? AND idempotency_key = ?",
+    [bountyId, req.apiKey.id, idempotencyKey]
+  );
+}
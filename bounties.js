@@ -0,0 +1,679 @@
+import { ethers } from "ethers";
+import {
+  BOUNTY_TYPES,
+  DEFAULT_BOUNTY_TYPE,
+  JUDGING_CONFIG,
+  JUDGING_STRATEGIES,
+  PUBLISH_CONFIG,
+  VERIFICATION_CONFIG,
+} from "./config.js";
+import { db, toSqliteDatetime } from "./db.js";
+import {
+  ENABLED_CHAINS,
+  bountyUrl,
+  chains,
+  formatNativeAmount,
+} from "./chains.js";
+import {
+  findTransactionReceipt,
+  parseReceiptEvents,
+  sendContractTransaction,
+} from "./tx.js";
+import { checkSpendingLimits, sendAlert, spendLimitError } from "./spending.js";
+import {
+  bountyModerationText,
+  moderateContent,
+  recordModerationFlag,
+} from "./moderation.js";
+import {
+  formatPayout,
+  getDisplayToken,
+  getPayouts,
+  getTokenAmount,
+} from "./payouts.js";
+import { getCampaignForBounty } from "./campaigns.js";
+import { generateBountyIdea, storeBountyVector } from "./ideas.js";
+
+// Bounty drafts
+// Every bounty starts as a row in `bounties`; publishBounty() is the only
+// place that puts one on-chain.
+
+// Wei sent with a bounty: its own reward if it has one, else its campaign's.
+// A campaign's reward is in its own chain's currency; its bounties on any
+// other chain use that chain's default amount.
+function getBountyValue(chainConfig, campaign, reward = null) {
+  return ethers.parseEther(
+    reward ||
+      (campaign?.chain === chainConfig.key && campaign.reward) ||
+      chainConfig.bountyAmount
+  );
+}
+
+async function insertBountyDraft(
+  idea,
+  campaign,
+  {
+    chain = campaign.chain,
+    status = "draft",
+    verificationThreshold = VERIFICATION_CONFIG.threshold,
+    judgingStrategy = JUDGING_CONFIG.strategy,
+    windowHours = JUDGING_CONFIG.windowHours,
+    bountyType = DEFAULT_BOUNTY_TYPE,
+    reward = null,
+    reviewer = null,
+  } = {}
+) {
+  const { lastID } = await db.run(
+    `INSERT INTO bounties
+       (chain, title, description, status, verification_threshold,
+        judging_strategy, window_hours, bounty_type, reward, campaign_id,
+        reviewer, reviewed_at, difficulty, tags, required_props,
+        safety_notes, similarity, similar_to, moderation_status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      chain,
+      idea.title,
+      idea.description,
+      status,
+      verificationThreshold,
+      judgingStrategy,
+      windowHours,
+      bountyType,
+      reward,
+      campaign.id,
+      reviewer,
+      reviewer ? toSqliteDatetime(new Date()) : null,
+      idea.difficulty,
+      JSON.stringify(idea.tags),
+      JSON.stringify(idea.requiredProps),
+      idea.safetyNotes,
+      idea.similarity,
+      idea.similarTo,
+      idea.moderationStatus || null,
+    ]
+  );
+  await storeBountyVector(lastID, idea.vector, idea.vectorProvider);
+  return lastID;
+}
+
+// Generate `count` ideas for a campaign and store them as drafts
+export async function generateBountyDrafts(count, { campaignId = null, ...options } = {}) {
+  const campaign = await getCampaignForBounty(campaignId);
+  const draftIds = [];
+
+  for (let i = 0; i < count; i++) {
+    const idea = await generateBountyIdea(campaign);
+    draftIds.push(await insertBountyDraft(idea, campaign, options));
+  }
+  return draftIds;
+}
+
+export const publishingBounties = new Set();
+
+// The id of the bounty a confirmed create transaction made
+async function getCreatedBountyId(chain, receipt) {
+  const bountyCreatedEvent = parseReceiptEvents(receipt).find(
+    (event) => event.name === "BountyCreated"
+  );
+  if (bountyCreatedEvent) {
+    return bountyCreatedEvent.args.id.toString();
+  }
+
+  // If event wasn't found in receipt, try polling for it
+  const events = await chain.contract.queryFilter(
+    chain.contract.filters.BountyCreated(),
+    receipt.blockNumber,
+    receipt.blockNumber
+  );
+  const event = events.find((e) => e.transactionHash === receipt.hash);
+  if (!event) {
+    throw new Error("Bounty ID not found in transaction events");
+  }
+  console.log(`Found bounty #${event.args.id} through polling`);
+  return event.args.id.toString();
+}
+
+async function recordBountyPublished(draft, bountyId, value) {
+  await db.run(
+    `UPDATE bounties SET
+       status = 'published', contract_bounty_id = ?, deadline = datetime('now', ?),
+       reward = ?, published_at = CURRENT_TIMESTAMP, publish_error = NULL
+     WHERE id = ?`,
+    [
+      bountyId,
+      `+${draft.window_hours ?? JUDGING_CONFIG.windowHours} hours`,
+      ethers.formatEther(value),
+      draft.id,
+    ]
+  );
+}
+
+// A publish that failed before its transaction could be mined can be
+// approved and published again. One whose transaction is still pending, or
+// was mined without us reading the bounty id, is left "unconfirmed" for
+// resolveUnconfirmedBounties(): sending it again could create the bounty twice.
+async function recordPublishFailure(id, error) {
+  const tx = await db.get(
+    `SELECT transactions.status FROM bounties
+     JOIN transactions ON transactions.id = bounties.publish_transaction_id
+     WHERE bounties.id = ?`,
+    [id]
+  );
+  await db.run("UPDATE bounties SET status = ?, publish_error = ? WHERE id = ?", [
+    ["pending", "confirmed"].includes(tx?.status) ? "unconfirmed" : "failed",
+    error.message,
+    id,
+  ]);
+}
+
+// Create an approved or scheduled draft on-chain. Returns the contract
+// bounty id; failures are recorded on the row, except spend limits and
+// moderation outages, which leave it approved for the next slot.
+export async function publishBounty(id) {
+  if (publishingBounties.has(id)) {
+    throw new Error(`Bounty ${id} is already being published`);
+  }
+  publishingBounties.add(id);
+
+  try {
+    const draft = await db.get("SELECT * FROM bounties WHERE id = ?", [id]);
+    if (!draft) {
+      throw new Error(`Bounty ${id} not found`);
+    }
+    if (!["approved", "scheduled"].includes(draft.status)) {
+      throw new Error(
+        `Bounty ${id} is ${draft.status}; only approved bounties can be published`
+      );
+    }
+    const chain = chains.get(draft.chain);
+    if (!chain?.contract) {
+      throw new Error(
+        `Bounty ${id} is for chain ${draft.chain}, which is not connected`
+      );
+    }
+
+    // Nothing goes on-chain without passing moderation; drafts screened at
+    // generation or allowed by a reviewer are not screened again
+    if (!["passed", "allowed"].includes(draft.moderation_status)) {
+      const content = bountyModerationText(draft);
+      let moderation;
+      try {
+        moderation = await moderateContent("bounty", { text: content });
+      } catch (error) {
+        await db.run("UPDATE bounties SET publish_error = ? WHERE id = ?", [
+          `Moderation failed: ${error.message}`,
+          id,
+        ]);
+        throw error;
+      }
+
+      if (moderation.flagged) {
+        await db.run(
+          `UPDATE bounties SET
+             status = 'blocked', moderation_status = 'flagged', publish_error = ?
+           WHERE id = ?`,
+          [`Blocked by moderation: ${moderation.reason}`, id]
+        );
+        await recordModerationFlag(chain, "bounty", id, moderation, {
+          content,
+        });
+        throw new Error(
+          `Bounty ${id} was blocked by moderation: ${moderation.reason}`
+        );
+      }
+      await db.run(
+        "UPDATE bounties SET moderation_status = 'passed' WHERE id = ?",
+        [id]
+      );
+    }
+
+    const campaign = draft.campaign_id
+      ? await db.get("SELECT * FROM campaigns WHERE id = ?", [
+          draft.campaign_id,
+        ])
+      : null;
+    const value = getBountyValue(chain.config, campaign, draft.reward);
+    const bountyType = draft.bounty_type || DEFAULT_BOUNTY_TYPE;
+
+    // An earlier attempt's transaction may have gone through after all
+    const previous = draft.publish_transaction_id
+      ? await db.get("SELECT * FROM transactions WHERE id = ?", [
+          draft.publish_transaction_id,
+        ])
+      : null;
+    const previousReceipt = previous
+      ? await findTransactionReceipt(chain, previous)
+      : null;
+    if (previous?.status === "pending" && !previousReceipt) {
+      throw new Error(
+        `Bounty ${id} has a pending publish transaction ${previous.hash}`
+      );
+    }
+
+    let bountyId = null;
+    try {
+      let receipt = previousReceipt;
+      if (receipt?.status !== 1) {
+        // Create transaction through the shared signer so nonces never collide
+        ({ receipt } = await sendContractTransaction(
+          chain,
+          bountyType === "open" ? "createOpenBounty" : "createSoloBounty",
+          [draft.title, draft.description],
+          {
+            value,
+            budgeted: true,
+            onRecorded: (txId) =>
+              db.run(
+                "UPDATE bounties SET publish_transaction_id = ? WHERE id = ?",
+                [txId, id]
+              ),
+          }
+        ));
+        console.log("Transaction confirmed");
+      }
+      bountyId = await getCreatedBountyId(chain, receipt);
+    } catch (error) {
+      if (error.code !== "SPEND_LIMIT") {
+        await recordPublishFailure(id, error);
+      }
+      throw error;
+    }
+
+    await recordBountyPublished(draft, bountyId, value);
+    console.log(
+      `Created ${bountyType} bounty #${bountyId} on ${chain.config.name}`
+    );
+    return bountyId;
+  } finally {
+    publishingBounties.delete(id);
+  }
+}
+
+// Settle "unconfirmed" publishes once their transaction has an outcome: a
+// mined one is published, a reverted or dropped one can be published again
+export async function resolveUnconfirmedBounties(chain) {
+  if (chain.isResolvingPublishes || !chain.contractReady) {
+    return;
+  }
+  chain.isResolvingPublishes = true;
+
+  try {
+    const drafts = await db.all(
+      "SELECT * FROM bounties WHERE chain = ? AND status = 'unconfirmed'",
+      [chain.key]
+    );
+    for (const draft of drafts) {
+      if (publishingBounties.has(draft.id)) {
+        continue;
+      }
+      try {
+        const tx = await db.get("SELECT * FROM transactions WHERE id = ?", [
+          draft.publish_transaction_id,
+        ]);
+        const receipt = await findTransactionReceipt(chain, tx);
+
+        if (receipt?.status === 1) {
+          const bountyId = await getCreatedBountyId(chain, receipt);
+          await recordBountyPublished(draft, bountyId, BigInt(tx.value));
+          console.log(
+            `Bounty ${draft.id} was published as #${bountyId} on ${chain.config.name} after all`
+          );
+        } else if (receipt || ["failed", "rejected"].includes(tx.status)) {
+          await db.run("UPDATE bounties SET status = 'failed' WHERE id = ?", [
+            draft.id,
+          ]);
+          console.log(`Publish of bounty ${draft.id} did not go through`);
+        }
+      } catch (error) {
+        console.error(`Error resolving publish of bounty ${draft.id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error(
+      `Error resolving unconfirmed bounties on ${chain.config.name}:`,
+      error
+    );
+  } finally {
+    chain.isResolvingPublishes = false;
+  }
+}
+
+// Whether a bounty row's publish transaction was sent and may have created
+// it on-chain
+export async function hasSentPublishTransaction(id) {
+  const bounty = await db.get(
+    "SELECT status, publish_transaction_id FROM bounties WHERE id = ?",
+    [id]
+  );
+  return bounty?.publish_transaction_id != null && bounty.status !== "failed";
+}
+
+// Generate and publish straight away, approved by whoever triggered it.
+// `onDraftCreated(id)` runs once the bounty row exists.
+export async function createBounty({
+  campaignId = null,
+  reviewer = "auto",
+  onDraftCreated,
+  ...options
+} = {}) {
+  try {
+    const campaign = await getCampaignForBounty(campaignId);
+    const chain = chains.get(options.chain ?? campaign.chain);
+    if (!chain) {
+      throw new Error(
+        `Campaign "${campaign.name}" runs on chain ${campaign.chain}, which is not enabled`
+      );
+    }
+
+    // Refuse early, before spending an idea on a bounty we can't fund
+    const blocked = await checkSpendingLimits(
+      chain,
+      getBountyValue(chain.config, campaign, options.reward)
+    );
+    if (blocked) {
+      throw spendLimitError(blocked);
+    }
+
+    const idea = await generateBountyIdea(campaign);
+    const id = await insertBountyDraft(idea, campaign, {
+      ...options,
+      chain: chain.key,
+      status: "approved",
+      reviewer,
+    });
+    if (onDraftCreated) {
+      await onDraftCreated(id);
+    }
+    return await publishBounty(id);
+  } catch (error) {
+    console.error("Error creating bounty:", error);
+    throw error; // Re-throw to handle in the API endpoint
+  }
+}
+
+// Publish the next approved draft for a campaign's slot, or generate one
+// when auto-generation is on
+export async function publishNextBounty(campaign) {
+  const draft = await db.get(
+    `SELECT id FROM bounties
+     WHERE status = 'approved' AND chain = ?
+       AND (campaign_id = ? OR campaign_id IS NULL)
+     ORDER BY reviewed_at ASC, id ASC
+     LIMIT 1`,
+    [campaign.chain, campaign.id]
+  );
+
+  if (draft) {
+    return publishBounty(draft.id);
+  }
+  if (PUBLISH_CONFIG.autoGenerate) {
+    return createBounty({ campaignId: campaign.id });
+  }
+
+  console.log(
+    `No approved draft for campaign "${campaign.name}" and auto-generation is off, skipping`
+  );
+  return null;
+}
+
+let isPublishingScheduled = false;
+
+// Publish drafts that were approved for a specific time once it arrives
+export async function publishScheduledBounties() {
+  if (isPublishingScheduled) {
+    return;
+  }
+  isPublishingScheduled = true;
+
+  try {
+    // Drafts for a chain that isn't connected wait until it is
+    const connected = [...chains.values()]
+      .filter((chain) => chain.contractReady)
+      .map((chain) => chain.key);
+    const due = await db.all(
+      `SELECT id FROM bounties
+       WHERE status = 'scheduled' AND scheduled_for <= CURRENT_TIMESTAMP
+         AND chain IN (${connected.map(() => "?").join(",")})
+       ORDER BY scheduled_for ASC`,
+      connected
+    );
+
+    for (const { id } of due) {
+      try {
+        await publishBounty(id);
+      } catch (error) {
+        console.error(`Error publishing scheduled bounty ${id}:`, error);
+        if (error.code === "SPEND_LIMIT") {
+          await sendAlert(`Scheduled bounty ${id} not published: ${error.message}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error("Error publishing scheduled bounties:", error);
+  } finally {
+    isPublishingScheduled = false;
+  }
+}
+
+export function formatBountyDraft(bounty) {
+  return {
+    id: bounty.id,
+    chain: bounty.chain,
+    title: bounty.title,
+    description: bounty.description,
+    status: bounty.status,
+    campaignId: bounty.campaign_id,
+    threshold: bounty.verification_threshold,
+    strategy: bounty.judging_strategy,
+    type: bounty.bounty_type,
+    reward: bounty.reward,
+    windowHours: bounty.window_hours,
+    scheduledFor: bounty.scheduled_for,
+    reviewer: bounty.reviewer,
+    reviewNote: bounty.review_note,
+    reviewedAt: bounty.reviewed_at,
+    difficulty: bounty.difficulty,
+    tags: bounty.tags ? JSON.parse(bounty.tags) : [],
+    requiredProps: bounty.required_props ? JSON.parse(bounty.required_props) : [],
+    safetyNotes: bounty.safety_notes,
+    similarity: bounty.similarity,
+    similarTo: bounty.similar_to,
+    moderationStatus: bounty.moderation_status,
+    origin: bounty.origin || "bot",
+    reconcileIssue: bounty.reconcile_issue,
+    reconcileNote: bounty.reconcile_note,
+    publishError: bounty.publish_error,
+    contractBountyId: bounty.contract_bounty_id,
+    publishedAt: bounty.published_at,
+    createdAt: bounty.created_at,
+  };
+}
+
+// Validate the per-bounty settings accepted by the creation and draft
+// endpoints. Returns { error } or { options } for createBounty().
+export function parseBountyOptions(body) {
+  const { chain, threshold, strategy, type, campaign, windowHours, reward } =
+    body || {};
+  const options = {};
+
+  if (chain !== undefined) {
+    if (!chains.has(chain)) {
+      return { error: `chain must be one of: ${ENABLED_CHAINS.join(", ")}` };
+    }
+    options.chain = chain;
+  }
+
+  if (threshold !== undefined) {
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > 10) {
+      return { error: "threshold must be an integer between 1 and 10" };
+    }
+    options.verificationThreshold = threshold;
+  }
+
+  if (strategy !== undefined) {
+    if (!JUDGING_STRATEGIES.includes(strategy)) {
+      return {
+        error: `strategy must be one of: ${JUDGING_STRATEGIES.join(", ")}`,
+      };
+    }
+    options.judgingStrategy = strategy;
+  }
+
+  if (type !== undefined) {
+    if (!BOUNTY_TYPES.includes(type)) {
+      return { error: `type must be one of: ${BOUNTY_TYPES.join(", ")}` };
+    }
+    options.bountyType = type;
+  }
+
+  if (campaign !== undefined) {
+    if (!Number.isInteger(campaign)) {
+      return { error: "campaign must be a campaign id" };
+    }
+    options.campaignId = campaign;
+  }
+
+  if (windowHours !== undefined) {
+    if (typeof windowHours !== "number" || !(windowHours > 0)) {
+      return { error: "windowHours must be a positive number" };
+    }
+    options.windowHours = windowHours;
+  }
+
+  // In the bounty's chain currency, like a campaign reward; null falls back
+  // to the campaign's
+  if (reward !== undefined) {
+    if (reward !== null) {
+      let wei;
+      try {
+        wei = ethers.parseEther(String(reward));
+      } catch (error) {
+        wei = 0n;
+      }
+      if (wei <= 0n) {
+        return { error: "reward must be a positive amount" };
+      }
+    }
+    options.reward = reward === null ? null : String(reward);
+  }
+
+  return { options };
+}
+
+// Reward held by a bounty in wei: from the event index, or the bounties(id)
+// struct when the indexer hasn't reached it yet
+async function getBountyAmount(chain, contractBountyId) {
+  if (contractBountyId === null || contractBountyId === undefined) {
+    return null;
+  }
+
+  const indexed = await db.get(
+    "SELECT amount FROM chain_bounties WHERE chain = ? AND bounty_id = ?",
+    [chain.key, contractBountyId]
+  );
+  if (indexed) {
+    return BigInt(indexed.amount);
+  }
+  if (!chain.contractReady) {
+    return null;
+  }
+
+  try {
+    const bounty = await chain.contract.bounties(contractBountyId);
+    return bounty.amount;
+  } catch (error) {
+    console.error(`Error reading amount of bounty ${contractBountyId}:`, error);
+    return null;
+  }
+}
+
+// Bounties that are live on-chain: published, not cancelled and not won.
+// Ones past their deadline stay listed until they are judged or expired.
+export async function getActiveBounties(chain, campaignId = null) {
+  return db.all(
+    `SELECT bounties.* FROM bounties
+     LEFT JOIN chain_bounties
+       ON chain_bounties.chain = bounties.chain
+       AND chain_bounties.bounty_id = bounties.contract_bounty_id
+     WHERE bounties.chain = ?
+       AND bounties.status = 'published'
+       AND bounties.contract_bounty_id IS NOT NULL
+       AND bounties.cancelled_at IS NULL
+       AND bounties.reconcile_issue IS NULL
+       AND COALESCE(chain_bounties.status, 'open') = 'open'
+       AND NOT EXISTS (
+         SELECT 1 FROM claims
+         WHERE claims.chain = bounties.chain
+           AND claims.bounty_id = bounties.contract_bounty_id
+           AND claims.accept_tx_hash IS NOT NULL
+       )
+       AND (? IS NULL OR bounties.campaign_id = ?)
+     ORDER BY bounties.deadline ASC, bounties.id ASC`,
+    [chain.key, campaignId, campaignId]
+  );
+}
+
+// Fields of a published bounty row that every public bounty endpoint
+// returns the same way. A row published before publish times were stored
+// counts as published when it was created.
+export function formatPublishedBounty(chain, bounty) {
+  const bountyId = bounty.contract_bounty_id;
+  return {
+    id: bountyId || bounty.id.toString(),
+    chain: chain.key,
+    title: bounty.title,
+    description: bounty.description,
+    campaignId: bounty.campaign_id,
+    type: bounty.bounty_type || DEFAULT_BOUNTY_TYPE,
+    strategy: bounty.judging_strategy,
+    difficulty: bounty.difficulty,
+    tags: bounty.tags ? JSON.parse(bounty.tags) : [],
+    requiredProps: bounty.required_props
+      ? JSON.parse(bounty.required_props)
+      : [],
+    safetyNotes: bounty.safety_notes,
+    deadline: bounty.deadline,
+    created_at: bounty.created_at,
+    publishedAt: bounty.published_at ?? bounty.created_at,
+    poidhUrl: bountyId ? bountyUrl(chain.config, bountyId) : null,
+  };
+}
+
+// Public view of a published bounty row, shared by the bounty endpoints
+export async function formatBountySummary(chain, bounty) {
+  const bountyId = bounty.contract_bounty_id;
+
+  // Calculate time remaining
+  const endTime = new Date(`${bounty.deadline || bounty.created_at}Z`);
+  if (!bounty.deadline) {
+    endTime.setHours(endTime.getHours() + 24);
+  }
+  const timeLeft = endTime - new Date();
+
+  let submissionsCount = 0;
+  if (bountyId) {
+    const { count } = await db.get(
+      "SELECT COUNT(*) AS count FROM chain_claims WHERE chain = ? AND bounty_id = ?",
+      [chain.key, bountyId]
+    );
+    submissionsCount = count;
+  }
+
+  const amount = await getBountyAmount(chain, bountyId);
+  const payouts = await getPayouts(chain, [bountyId]);
+  const payout = payouts[bountyId];
+
+  return {
+    ...formatPublishedBounty(chain, bounty),
+    amount: amount === null ? null : formatNativeAmount(chain.config, amount),
+    amountWei: amount === null ? null : amount.toString(),
+    tokenAmount: await getTokenAmount(chain),
+    payout: payout
+      ? formatPayout(payout, await getDisplayToken(chain))
+      : null,
+    timeLeft: timeLeft > 0
+      ? Math.floor(timeLeft / 1000 / 60 / 60) + " hours"
+      : "Ended",
+    submissions: submissionsCount,
+  };
+}
@@ -0,0 +1,220 @@
+import { ethers } from "ethers";
+import cron from "node-cron";
+import { db, dbReady, toSqliteDatetime } from "./db.js";
+import {
+  CHAIN_REGISTRY,
+  DEFAULT_CHAIN,
+  ENABLED_CHAINS,
+  chains,
+} from "./chains.js";
+import { sendAlert } from "./spending.js";
+import { publishNextBounty } from "./bounties.js";
+
+// Campaigns
+
+// Campaigns currently running; dated campaigns (events) come before
+// open-ended ones, so they win when a bounty isn't tied to a campaign
+export async function getActiveCampaigns() {
+  return db.all(
+    `SELECT * FROM campaigns
+     WHERE active = 1
+       AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+       AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+     ORDER BY starts_at IS NULL, starts_at DESC, id DESC`
+  );
+}
+
+// Validate a campaign request body into column values. Returns { error } or
+// { values }; with `partial` only the fields present are checked.
+export function parseCampaignInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+
+  for (const field of ["name", "themePrompt"]) {
+    if (input[field] === undefined) {
+      if (!partial) {
+        return { error: `${field} is required` };
+      }
+    } else if (typeof input[field] !== "string" || !input[field].trim()) {
+      return { error: `${field} must be a non-empty string` };
+    }
+  }
+  if (input.name !== undefined) values.name = input.name.trim();
+  if (input.themePrompt !== undefined) values.theme_prompt = input.themePrompt;
+
+  if (input.chain !== undefined) {
+    if (!chains.has(input.chain)) {
+      return { error: `chain must be one of: ${ENABLED_CHAINS.join(", ")}` };
+    }
+    values.chain = input.chain;
+  } else if (!partial) {
+    values.chain = DEFAULT_CHAIN;
+  }
+
+  if (input.fallbackIdeas !== undefined) {
+    const valid =
+      Array.isArray(input.fallbackIdeas) &&
+      input.fallbackIdeas.every(
+        (idea) =>
+          typeof idea?.title === "string" &&
+          idea.title.trim() &&
+          typeof idea?.description === "string" &&
+          idea.description.trim()
+      );
+    if (!valid) {
+      return {
+        error: "fallbackIdeas must be an array of { title, description }",
+      };
+    }
+    values.fallback_ideas = JSON.stringify(
+      input.fallbackIdeas.map(({ title, description }) => ({
+        title,
+        description,
+      }))
+    );
+    // Indices into the old list mean nothing for the new one
+    values.used_fallbacks = "[]";
+  }
+
+  if (input.reward !== undefined) {
+    if (input.reward !== null) {
+      let reward;
+      try {
+        reward = ethers.parseEther(String(input.reward));
+      } catch (error) {
+        reward = 0n;
+      }
+      if (reward <= 0n) {
+        return { error: "reward must be a positive amount" };
+      }
+    }
+    values.reward = input.reward === null ? null : String(input.reward);
+  }
+
+  if (input.schedule !== undefined) {
+    if (input.schedule !== null && !cron.validate(String(input.schedule))) {
+      return { error: "schedule must be a valid cron expression" };
+    }
+    values.schedule = input.schedule;
+  }
+
+  for (const [field, column] of [
+    ["startsAt", "starts_at"],
+    ["endsAt", "ends_at"],
+  ]) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    if (input[field] === null) {
+      values[column] = null;
+      continue;
+    }
+    const date = new Date(input[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a date` };
+    }
+    values[column] = toSqliteDatetime(date);
+  }
+  if (
+    values.starts_at &&
+    values.ends_at &&
+    values.starts_at >= values.ends_at
+  ) {
+    return { error: "endsAt must be after startsAt" };
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    values.active = input.active ? 1 : 0;
+  }
+
+  return { values };
+}
+
+export function formatCampaign(campaign) {
+  const chainConfig = CHAIN_REGISTRY[campaign.chain];
+  return {
+    id: campaign.id,
+    chain: campaign.chain,
+    name: campaign.name,
+    themePrompt: campaign.theme_prompt,
+    fallbackIdeas: JSON.parse(campaign.fallback_ideas),
+    usedFallbacks: JSON.parse(campaign.used_fallbacks),
+    reward: `${campaign.reward || chainConfig.bountyAmount} ${chainConfig.nativeSymbol}`,
+    customReward: campaign.reward !== null,
+    schedule: campaign.schedule,
+    startsAt: campaign.starts_at,
+    endsAt: campaign.ends_at,
+    active: !!campaign.active,
+    createdAt: campaign.created_at,
+    updatedAt: campaign.updated_at,
+  };
+}
+
+// One cron task per scheduled campaign; rebuilt whenever campaigns change
+const campaignTasks = new Map();
+
+export async function scheduleCampaigns() {
+  await dbReady;
+  for (const task of campaignTasks.values()) {
+    task.stop();
+  }
+  campaignTasks.clear();
+
+  const campaigns = await db.all(
+    `SELECT id, schedule FROM campaigns
+     WHERE active = 1 AND schedule IS NOT NULL
+       AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)`
+  );
+  for (const campaign of campaigns) {
+    campaignTasks.set(
+      campaign.id,
+      cron.schedule(campaign.schedule, () => runScheduledCampaign(campaign.id))
+    );
+  }
+}
+
+async function runScheduledCampaign(campaignId) {
+  // The task fires on schedule even before starts_at; skip until it's live
+  const campaigns = await getActiveCampaigns();
+  const campaign = campaigns.find((c) => c.id === campaignId);
+  if (!campaign) {
+    return;
+  }
+
+  console.log(
+    `Publishing bounty for campaign "${campaign.name}" on ${CHAIN_REGISTRY[campaign.chain].name}...`
+  );
+  try {
+    await publishNextBounty(campaign);
+  } catch (error) {
+    console.error(
+      `Error publishing bounty for campaign #${campaign.id} ("${campaign.name}"):`,
+      error
+    );
+    if (error.code === "SPEND_LIMIT") {
+      await sendAlert(
+        `Skipping bounty for campaign "${campaign.name}": ${error.message}`
+      );
+    }
+  }
+}
+
+// The campaign a new bounty belongs to: the given one, or the first active
+// campaign when none is given
+export async function getCampaignForBounty(campaignId) {
+  const campaign =
+    campaignId !== null && campaignId !== undefined
+      ? await db.get("SELECT * FROM campaigns WHERE id = ?", [campaignId])
+      : (await getActiveCampaigns())[0];
+  if (!campaign) {
+    throw new Error(
+      campaignId !== null && campaignId !== undefined
+        ? `Campaign #${campaignId} not found`
+        : "No active campaign to generate a bounty for"
+    );
+  }
+  return campaign;
+}
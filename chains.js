@@ -0,0 +1,296 @@
+import { ethers } from "ethers";
+import abi from "./abi.ts";
+import { LISTENER_CONFIG, PRIVATE_KEY, exitWithConfigError } from "./config.js";
+
+// Chains the bot can run bounties on, keyed by the name used in the API and
+// stored with every bounty. CHAIN_REGISTRY (a JSON object of entries with
+// the same fields) adds chains or overrides fields of these. Amounts are in
+// the chain's native currency; {id}, {hash} and {address} in the URL
+// templates are filled in per link.
+const CHAIN_DEFINITIONS = {
+  degen: {
+    chainId: 666666666,
+    name: "Degen",
+    // Tried in order until one answers
+    rpcUrls: process.env.DEGEN_RPC_URL || "https://rpc.degen.tips",
+    contractAddress: "0x2445BfFc6aB9EEc6C562f8D7EE325CddF1780814",
+    nftContractAddress: "0xDdfb1A53E7b73Dba09f79FCA24765C593D447a80",
+    nativeSymbol: "DEGEN",
+    explorerTxUrl: "https://explorer.degen.tips/tx/{hash}",
+    explorerAddressUrl: "https://explorer.degen.tips/address/{address}",
+    bountyUrl: "https://poidh.xyz/degen/bounty/{id}",
+    bountyAmount: "0.000000000000000001",
+    // Spending safeguards; caps cover bounty value plus gas and unset caps
+    // are unlimited. createBounty() refuses when the wallet would drop
+    // below minBalance.
+    dailySpendCap: process.env.SPEND_DAILY_CAP,
+    weeklySpendCap: process.env.SPEND_WEEKLY_CAP,
+    minBalance: process.env.WALLET_MIN_BALANCE,
+    // ERC-20 reward sent to the winner of every bot-issued bounty; payouts
+    // are off unless both the token and the amount (whole tokens, e.g.
+    // "1000") are set
+    payoutTokenAddress: process.env.PAYOUT_TOKEN_ADDRESS,
+    payoutTokenAmount: process.env.PAYOUT_TOKEN_AMOUNT,
+    // Block to start indexing from on first run; set to the contract
+    // deployment block to index full history. Defaults to
+    // MAX_BACKFILL_BLOCKS behind the head.
+    indexerStartBlock: process.env.INDEXER_START_BLOCK,
+  },
+};
+
+let chainOverrides = {};
+try {
+  chainOverrides = JSON.parse(process.env.CHAIN_REGISTRY || "{}");
+} catch (error) {
+  exitWithConfigError(`CHAIN_REGISTRY is not valid JSON (${error.message})`);
+}
+if (
+  !chainOverrides ||
+  typeof chainOverrides !== "object" ||
+  Array.isArray(chainOverrides)
+) {
+  exitWithConfigError("CHAIN_REGISTRY must be a JSON object of chain entries");
+}
+for (const [key, entry] of Object.entries(chainOverrides)) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    exitWithConfigError(`CHAIN_REGISTRY entry "${key}" must be an object`);
+  }
+  CHAIN_DEFINITIONS[key] = { ...CHAIN_DEFINITIONS[key], ...entry };
+}
+
+export const CHAIN_REGISTRY = Object.fromEntries(
+  Object.entries(CHAIN_DEFINITIONS).map(([key, entry]) => {
+    try {
+      return [key, parseChainConfig(key, entry)];
+    } catch (error) {
+      return exitWithConfigError(
+        `chain "${key}" in the chain registry: ${error.message}`
+      );
+    }
+  })
+);
+
+// Registry keys to run on (comma-separated); the first one is used by
+// requests that don't name a chain
+export const ENABLED_CHAINS = (process.env.CHAINS || "degen")
+  .split(",")
+  .map((key) => key.trim())
+  .filter(Boolean);
+export const DEFAULT_CHAIN = ENABLED_CHAINS[0];
+
+for (const key of ENABLED_CHAINS) {
+  if (!CHAIN_REGISTRY[key]) {
+    exitWithConfigError(`CHAINS names "${key}", which is not in the chain registry`);
+  }
+}
+
+// Run queryFilter over [fromBlock, toBlock] in windows the RPC will accept,
+// handing each window's events to onChunk before moving on
+export async function queryFilterInChunks(chain, filter, fromBlock, toBlock, onChunk) {
+  for (
+    let start = fromBlock;
+    start <= toBlock;
+    start += LISTENER_CONFIG.maxBlockRange
+  ) {
+    const end = Math.min(start + LISTENER_CONFIG.maxBlockRange - 1, toBlock);
+    const events = await chain.contract.queryFilter(filter, start, end);
+    await onChunk(events, end);
+  }
+}
+
+// Normalize a chain registry entry
+function parseChainConfig(key, entry) {
+  const rpcUrls = (
+    Array.isArray(entry.rpcUrls)
+      ? entry.rpcUrls
+      : String(entry.rpcUrls || "").split(",")
+  )
+    .map((url) => url.trim())
+    .filter(Boolean);
+  const parseAmount = (field) => {
+    const amount = entry[field];
+    if (amount === undefined || amount === null || amount === "") {
+      return null;
+    }
+    try {
+      return ethers.parseEther(String(amount));
+    } catch (error) {
+      throw new Error(`${field} must be an amount, got "${amount}"`);
+    }
+  };
+
+  return {
+    key,
+    chainId: Number(entry.chainId),
+    name: entry.name || key,
+    rpcUrls,
+    contractAddress: entry.contractAddress,
+    nftContractAddress: entry.nftContractAddress,
+    nativeSymbol: entry.nativeSymbol || "ETH",
+    explorerTxUrl: entry.explorerTxUrl || null,
+    explorerAddressUrl: entry.explorerAddressUrl || null,
+    bountyUrl: entry.bountyUrl || `https://poidh.xyz/${key}/bounty/{id}`,
+    bountyAmount: String(entry.bountyAmount),
+    dailySpendCap: parseAmount("dailySpendCap"),
+    weeklySpendCap: parseAmount("weeklySpendCap"),
+    minBalance: parseAmount("minBalance") ?? 0n,
+    payoutTokenAddress: entry.payoutTokenAddress || null,
+    payoutTokenAmount: entry.payoutTokenAmount
+      ? String(entry.payoutTokenAmount)
+      : null,
+    indexerStartBlock:
+      entry.indexerStartBlock === undefined ||
+      entry.indexerStartBlock === null ||
+      entry.indexerStartBlock === ""
+        ? null
+        : Number(entry.indexerStartBlock),
+  };
+}
+
+function fillUrlTemplate(template, values) {
+  return template
+    ? template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match)
+    : null;
+}
+
+// Links and amounts take a registry entry, so rows stored for any chain
+// can be formatted
+export function bountyUrl(chainConfig, bountyId) {
+  return fillUrlTemplate(chainConfig.bountyUrl, { id: bountyId });
+}
+
+export function explorerTxUrl(chainConfig, hash) {
+  return hash ? fillUrlTemplate(chainConfig.explorerTxUrl, { hash }) : null;
+}
+
+// A wei amount in the chain's native currency, e.g. "0.1 DEGEN"
+export function formatNativeAmount(chainConfig, wei) {
+  return `${ethers.formatEther(wei)} ${chainConfig.nativeSymbol}`;
+}
+
+// Connection and signer state of each enabled chain. provider, wallet and
+// contract are set by initializeContract(), which sets contractReady once
+// they can be used; the block cursors, nonce queue and job flags belong to
+// the pollers and jobs further down.
+export const chains = new Map(
+  ENABLED_CHAINS.map((key) => [
+    key,
+    {
+      key,
+      config: CHAIN_REGISTRY[key],
+      provider: null,
+      wallet: null,
+      contract: null,
+      contractReady: false,
+      lastProcessedBlock: undefined,
+      lastIndexedBlock: undefined,
+      nextNonce: null,
+      txQueue: Promise.resolve(),
+      payoutStartBlock: null,
+      payoutToken: null,
+      isPollingClaims: false,
+      isRetryingClaims: false,
+      isIndexing: false,
+      isJudging: false,
+      isResolvingVotes: false,
+      isExpiring: false,
+      isProcessingPayouts: false,
+      isReconciling: false,
+      isResolvingPublishes: false,
+    },
+  ])
+);
+
+// Run a background job for every enabled chain at once
+export function forEachChain(job) {
+  return Promise.all([...chains.values()].map((chain) => job(chain)));
+}
+
+// The chain a request is about: `chain` in the query string or body, or the
+// default chain. Responds with a 400 and returns null for any other value.
+export function getRequestChain(req, res) {
+  const key = req.query.chain ?? req.body?.chain ?? DEFAULT_CHAIN;
+  const chain = chains.get(String(key));
+  if (!chain) {
+    res.status(400).json({
+      success: false,
+      error: `chain must be one of: ${ENABLED_CHAINS.join(", ")}`,
+    });
+    return null;
+  }
+  return chain;
+}
+
+// Admin listings cover every chain unless the query names one. Returns the
+// chain key or null, or false after responding with a 400.
+export function getChainFilter(req, res) {
+  if (req.query.chain === undefined) {
+    return null;
+  }
+  const chain = getRequestChain(req, res);
+  return chain ? chain.key : false;
+}
+
+// Connect a chain's provider, wallet and contract through the first RPC URL
+// that answers with the registry's chain id
+export async function initializeContract(chain) {
+  try {
+    // First verify the private key exists and is properly formatted
+    if (!PRIVATE_KEY) {
+      throw new Error("Private key is missing from environment variables");
+    }
+
+    // Ensure private key has 0x prefix
+    const formattedPrivateKey = PRIVATE_KEY.startsWith("0x")
+      ? PRIVATE_KEY
+      : `0x${PRIVATE_KEY}`;
+
+    // Initialize provider
+    let provider = null;
+    for (const rpcUrl of chain.config.rpcUrls) {
+      // A static network makes a dead endpoint fail instead of retrying forever
+      const candidate = new ethers.JsonRpcProvider(rpcUrl, chain.config.chainId, {
+        staticNetwork: true,
+      });
+      try {
+        const chainId = Number(await candidate.send("eth_chainId", []));
+        if (chainId === chain.config.chainId) {
+          provider = candidate;
+          break;
+        }
+        console.warn(
+          `RPC endpoint ${rpcUrl} is on chain ${chainId}, expected ${chain.config.chainId}`
+        );
+      } catch (error) {
+        console.warn(`Failed to connect to RPC endpoint ${rpcUrl}:`, error.message);
+      }
+      candidate.destroy();
+    }
+    if (!provider) {
+      throw new Error(`No working RPC endpoint for ${chain.config.name}`);
+    }
+
+    // Verify contract address and ABI
+    if (!chain.config.contractAddress || !abi) {
+      throw new Error("Contract address or ABI is missing");
+    }
+
+    chain.provider = provider;
+    chain.wallet = new ethers.Wallet(formattedPrivateKey, provider);
+    chain.nextNonce = null;
+    chain.contract = new ethers.Contract(
+      chain.config.contractAddress,
+      abi,
+      chain.wallet
+    );
+    chain.contractReady = true;
+
+    console.log(`Contract initialized successfully on ${chain.config.name}`);
+  } catch (error) {
+    console.error(
+      `Contract initialization failed on ${chain.config.name}:`,
+      error.message
+    );
+    throw error;
+  }
+}
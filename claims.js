@@ -0,0 +1,585 @@
+import { ethers } from "ethers";
+import { LISTENER_CONFIG, REVIEW_CONFIG } from "./config.js";
+import { db, getSyncCursor, setSyncCursor } from "./db.js";
+import { initializeContract, queryFilterInChunks } from "./chains.js";
+import { getBountySettings, verifyClaimWithAI } from "./verification.js";
+import { recordModerationFlag } from "./moderation.js";
+import {
+  getActiveVote,
+  recordVoteSubmission,
+  settleWinningClaim,
+} from "./judging.js";
+
+// Claim audit trail helpers
+async function recordClaim(chain, event) {
+  const { id, issuer, bountyId, name, description, createdAt } = event.args;
+  await db.run(
+    `INSERT INTO claims (chain, claim_id, bounty_id, claimer, name, description, claim_created_at)
+     VALUES (?, ?, ?, ?, ?, ?, datetime(?, 'unixepoch'))
+     ON CONFLICT(chain, claim_id) DO NOTHING`,
+    [
+      chain.key,
+      id.toString(),
+      bountyId.toString(),
+      issuer,
+      name,
+      description,
+      Number(createdAt),
+    ]
+  );
+}
+
+export async function recordClaimDecision(chain, claimId, decision) {
+  await db.run(
+    "UPDATE claims SET decision = ?, updated_at = CURRENT_TIMESTAMP WHERE chain = ? AND claim_id = ?",
+    [decision, chain.key, claimId.toString()]
+  );
+}
+
+async function recordClaimVerification(chain, claimId, verification) {
+  const { imageCheck } = verification;
+  const decision = verification.flagged
+    ? "flagged"
+    : verification.valid
+    ? "verified"
+    : verification.error
+    ? "error"
+    : "rejected";
+
+  await db.run(
+    `UPDATE claims SET
+       image_url = ?, provider = ?, model = ?, prompt = ?, raw_response = ?,
+       score = ?, reasoning = ?, detected_objects = ?, threshold = ?,
+       consensus_rule = ?, decision = ?, error = ?, image_hash = ?,
+       duplicate_of = ?, duplicate_of_chain = ?, duplicate_distance = ?,
+       captured_at = ?, fraud_flags = ?, fraud_error = ?,
+       verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE chain = ? AND claim_id = ?`,
+    [
+      verification.imageUrl,
+      verification.provider,
+      verification.model,
+      verification.prompt,
+      verification.rawResponse,
+      verification.score,
+      verification.reasoning,
+      JSON.stringify(verification.detectedObjects),
+      verification.threshold,
+      verification.consensusRule,
+      decision,
+      verification.error,
+      imageCheck?.imageHash ?? null,
+      imageCheck?.duplicateOf ?? null,
+      imageCheck?.duplicateOfChain ?? null,
+      imageCheck?.duplicateDistance ?? null,
+      imageCheck?.capturedAt ?? null,
+      imageCheck ? JSON.stringify(imageCheck.flags) : null,
+      imageCheck?.error ?? null,
+      chain.key,
+      claimId.toString(),
+    ]
+  );
+
+  // A re-verification replaces the previous set of opinions
+  await db.run("DELETE FROM claim_votes WHERE chain = ? AND claim_id = ?", [
+    chain.key,
+    claimId.toString(),
+  ]);
+  for (const vote of verification.votes) {
+    await db.run(
+      `INSERT INTO claim_votes
+         (chain, claim_id, model, sample, score, reasoning, detected_objects, raw_response, error)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        chain.key,
+        claimId.toString(),
+        vote.model,
+        vote.sample,
+        vote.score,
+        vote.reasoning,
+        JSON.stringify(vote.detectedObjects),
+        vote.raw ? JSON.stringify(vote.raw) : null,
+        vote.error,
+      ]
+    );
+  }
+}
+
+export async function recordClaimReview(chain, claimId, decision, reviewer, note) {
+  await db.run(
+    `UPDATE claims SET
+       decision = ?, reviewer = ?, review_note = ?,
+       reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE chain = ? AND claim_id = ?`,
+    [decision, reviewer, note, chain.key, claimId.toString()]
+  );
+}
+
+function isUncertainScore(score) {
+  const { uncertainMin, uncertainMax } = REVIEW_CONFIG;
+  if (uncertainMin === null || uncertainMax === null || score === null) {
+    return false;
+  }
+  return score >= uncertainMin && score <= uncertainMax;
+}
+
+// Votes for the given claims on a chain, grouped by claim id
+export async function getClaimVotes(chain, claimIds) {
+  const votesByClaim = {};
+  if (!claimIds.length) {
+    return votesByClaim;
+  }
+
+  const rows = await db.all(
+    `SELECT * FROM claim_votes WHERE chain = ? AND claim_id IN (${claimIds
+      .map(() => "?")
+      .join(", ")}) ORDER BY id ASC`,
+    [chain.key, ...claimIds]
+  );
+  for (const row of rows) {
+    (votesByClaim[row.claim_id] ||= []).push({
+      model: row.model,
+      sample: row.sample,
+      score: row.score,
+      reasoning: row.reasoning,
+      detectedObjects: row.detected_objects
+        ? JSON.parse(row.detected_objects)
+        : [],
+      error: row.error,
+    });
+  }
+  return votesByClaim;
+}
+
+export async function recordClaimAccepted(chain, claimId, txHash) {
+  await db.run(
+    `UPDATE claims SET
+       accept_tx_hash = ?, accepted_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE chain = ? AND claim_id = ?`,
+    [txHash, chain.key, claimId.toString()]
+  );
+}
+
+// The outcome of a claim's verification without the model internals (prompt,
+// raw response), for public endpoints; /claims/:id has the full record
+export function formatClaimVerdict(row) {
+  return {
+    score: row.score,
+    threshold: row.threshold,
+    reasoning: row.reasoning,
+    decision: row.decision,
+    fraudFlags: row.fraud_flags ? JSON.parse(row.fraud_flags) : [],
+    verifiedAt: row.verified_at,
+  };
+}
+
+export function formatClaimRecord(row, votes = []) {
+  let rawResponse = row.raw_response;
+  try {
+    rawResponse = rawResponse ? JSON.parse(rawResponse) : null;
+  } catch (error) {
+    // Keep unparseable responses as the raw string
+  }
+
+  let prompt = row.prompt;
+  try {
+    prompt = prompt ? JSON.parse(prompt) : null;
+  } catch (error) {
+    // Keep unparseable prompts as the raw string
+  }
+
+  return {
+    chain: row.chain,
+    claimId: row.claim_id,
+    bountyId: row.bounty_id,
+    claimer: row.claimer,
+    name: row.name,
+    description: row.description,
+    imageUrl: row.image_url,
+    provider: row.provider,
+    model: row.model,
+    prompt,
+    rawResponse,
+    score: row.score,
+    threshold: row.threshold,
+    consensusRule: row.consensus_rule,
+    votes,
+    reasoning: row.reasoning,
+    detectedObjects: row.detected_objects
+      ? JSON.parse(row.detected_objects)
+      : [],
+    decision: row.decision,
+    error: row.error,
+    imageHash: row.image_hash,
+    duplicateOf: row.duplicate_of,
+    duplicateOfChain: row.duplicate_of_chain,
+    duplicateDistance: row.duplicate_distance,
+    capturedAt: row.captured_at,
+    fraudFlags: row.fraud_flags ? JSON.parse(row.fraud_flags) : [],
+    imageCheckError: row.fraud_error,
+    acceptTxHash: row.accept_tx_hash,
+    reviewer: row.reviewer,
+    reviewNote: row.review_note,
+    reviewedAt: row.reviewed_at,
+    claimCreatedAt: row.claim_created_at,
+    verifiedAt: row.verified_at,
+    acceptedAt: row.accepted_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Verify a single ClaimCreated event and accept it if the AI approves
+export async function processClaimEvent(chain, event) {
+  const { id, bountyId, bountyIssuer } = event.args;
+  console.log(
+    `New claim detected on ${chain.config.name} - Bounty #${bountyId}, Claim #${id}`
+  );
+
+  // Check if we created this bounty
+  if (bountyIssuer.toLowerCase() !== chain.wallet.address.toLowerCase()) {
+    console.log(
+      `Bounty #${bountyId} was not created by this bot. Skipping claim...`
+    );
+    return;
+  }
+
+  // Throws if the claim can't be stored, so the listener keeps its cursor
+  // before this block and sees the claim again
+  await recordClaim(chain, event);
+  await verifyClaim(chain, await getClaim(chain, id));
+}
+
+function getClaim(chain, claimId) {
+  return db.get("SELECT * FROM claims WHERE chain = ? AND claim_id = ?", [
+    chain.key,
+    claimId.toString(),
+  ]);
+}
+
+// Park a claim whose processing failed for retryFailedClaims(), or give up
+// on it once it has used up its attempts. Throws if the claim isn't stored.
+export async function recordClaimRetry(chain, claimId, error, decision = "retry") {
+  const { changes } = await db.run(
+    `UPDATE claims SET
+       decision = CASE WHEN attempts + 1 >= ? THEN 'error' ELSE ? END,
+       attempts = attempts + 1, error = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE chain = ? AND claim_id = ?`,
+    [
+      LISTENER_CONFIG.maxClaimAttempts,
+      decision,
+      error,
+      chain.key,
+      claimId.toString(),
+    ]
+  );
+  if (!changes) {
+    throw new Error(`Claim #${claimId} on ${chain.config.name} is not recorded`);
+  }
+}
+
+// Verify a recorded claim and settle it if it wins
+async function verifyClaim(chain, claim) {
+  const { claim_id: id, bounty_id: bountyId, name, description } = claim;
+
+  try {
+    // Get the bounty details
+    const bounty = await chain.contract.bounties(bountyId);
+
+    // Backfilled events can belong to bounties that were settled meanwhile
+    if (bounty.claimer !== ethers.ZeroAddress) {
+      console.log(
+        `Bounty #${bountyId} already has an accepted claim. Skipping claim #${id}...`
+      );
+      await recordClaimDecision(chain, id, "skipped");
+      return;
+    }
+
+    const { threshold, judgingStrategy, deadline } =
+      await getBountySettings(chain, bountyId);
+
+    // Submissions after the deadline are not eligible
+    if (
+      deadline &&
+      new Date(`${claim.claim_created_at}Z`).getTime() >
+        new Date(`${deadline}Z`).getTime()
+    ) {
+      console.log(`Claim #${id} was submitted after the deadline. Skipping...`);
+      await recordClaimDecision(chain, id, "late");
+      return;
+    }
+
+    // Verify the claim with AI using the claim ID
+    const verification = await verifyClaimWithAI(
+      chain,
+      bounty.name,
+      bounty.description,
+      id,
+      {
+        threshold,
+        claimText: `Claim Name: ${name}\nClaim Description: ${description}`,
+        bountyCreatedAt: bounty.createdAt,
+      }
+    );
+    await recordClaimVerification(chain, id, verification);
+
+    if (verification.retryable) {
+      console.log(`Claim #${id} could not be verified: ${verification.error}`);
+      await recordClaimRetry(chain, id, verification.error);
+      return;
+    }
+
+    if (verification.flagged) {
+      await recordModerationFlag(chain, "claim", id, verification.moderation, {
+        content: `${name}\n${description}`,
+        imageUrl: verification.imageUrl,
+      });
+    } else if (
+      !verification.error &&
+      (verification.needsReview || isUncertainScore(verification.score))
+    ) {
+      console.log(
+        `Claim #${id} scored ${verification.score}, parked for human review`
+      );
+      await recordClaimDecision(chain, id, "pending_review");
+    } else if (verification.valid && judgingStrategy === "best-score") {
+      // Held until the deadline, when judgeBounty() picks the best one
+      console.log(`Claim #${id} verified successfully, shortlisted for judging`);
+      await recordClaimDecision(chain, id, "shortlisted");
+    } else if (verification.valid && (await getActiveVote(chain, bountyId))) {
+      // Runner-up in case participants vote the current claim down
+      console.log(
+        `Claim #${id} verified successfully, shortlisted while a vote is running`
+      );
+      await recordClaimDecision(chain, id, "shortlisted");
+    } else if (verification.valid) {
+      console.log(`Claim #${id} verified successfully, accepting...`);
+      await settleVerifiedClaim(chain, bountyId, id);
+    } else {
+      console.log(`Claim #${id} failed verification`);
+    }
+  } catch (error) {
+    console.error(`Error processing claim #${id}:`, error);
+    await recordClaimRetry(chain, id, error.message);
+  }
+}
+
+// Settle a verified claim. The claim is only recorded as approved once its
+// transaction is; a failure leaves it accept_failed for retryFailedClaims().
+async function settleVerifiedClaim(chain, bountyId, claimId) {
+  try {
+    const result = await settleWinningClaim(chain, bountyId, claimId);
+    await recordClaimDecision(chain, claimId, result.decision);
+  } catch (error) {
+    console.error(`Error accepting claim #${claimId}:`, error);
+    await recordClaimRetry(chain, claimId, error.message, "accept_failed");
+  }
+}
+
+// Latest transaction with the given status that called `method` for a claim
+function getSettlementTransaction(chain, claim, method, status = "confirmed") {
+  return db.get(
+    `SELECT hash FROM transactions
+     WHERE chain = ? AND method = ? AND args = ? AND status = ?
+     ORDER BY id DESC LIMIT 1`,
+    [
+      chain.key,
+      method,
+      JSON.stringify([claim.bounty_id, claim.claim_id]),
+      status,
+    ]
+  );
+}
+
+// Settle an accept_failed claim again, unless the failed attempt went through
+// after all: the transaction may have been mined despite the error, or still be
+// waiting for a receipt
+async function retryClaimAcceptance(chain, claim) {
+  const { claim_id: id, bounty_id: bountyId } = claim;
+
+  try {
+    for (const method of ["acceptClaim", "submitClaimForVote"]) {
+      const pending = await getSettlementTransaction(
+        chain,
+        claim,
+        method,
+        "pending"
+      );
+      if (pending) {
+        console.log(
+          `Claim #${id} has a pending ${method} transaction ${pending.hash}, waiting for it`
+        );
+        return;
+      }
+    }
+
+    const bounty = await chain.contract.bounties(bountyId);
+    if (bounty.claimer !== ethers.ZeroAddress) {
+      const acceptedHere =
+        bounty.claimId.toString() === id &&
+        bounty.claimer.toLowerCase() !== bounty.issuer.toLowerCase();
+      if (!acceptedHere) {
+        console.log(`Bounty #${bountyId} was settled without claim #${id}`);
+        await recordClaimDecision(chain, id, "skipped");
+        return;
+      }
+
+      const tx = await getSettlementTransaction(chain, claim, "acceptClaim");
+      await recordClaimAccepted(chain, id, tx?.hash ?? null);
+      await recordClaimDecision(chain, id, "approved");
+      console.log(`Claim #${id} was accepted on-chain after all`);
+      return;
+    }
+
+    const votingClaim = await chain.contract.bountyCurrentVotingClaim(bountyId);
+    const tracker = await chain.contract.bountyVotingTracker(bountyId);
+    if (
+      votingClaim.toString() === id &&
+      Number(tracker.deadline) > 0 &&
+      !(await getActiveVote(chain, bountyId))
+    ) {
+      const tx = await getSettlementTransaction(
+        chain,
+        claim,
+        "submitClaimForVote"
+      );
+      await recordVoteSubmission(chain, bountyId, id, tx?.hash ?? null);
+      await recordClaimDecision(chain, id, "submitted_for_vote");
+      console.log(`Claim #${id} was submitted for vote after all`);
+      return;
+    }
+
+    await settleVerifiedClaim(chain, bountyId, id);
+  } catch (error) {
+    console.error(`Error accepting claim #${id} again:`, error);
+    await recordClaimRetry(chain, id, error.message, "accept_failed");
+  }
+}
+
+// Claims whose processing or acceptance failed, or that a restart left
+// mid-verification, are retried once they've waited claimRetryMinutes
+export async function retryFailedClaims(chain) {
+  if (chain.isRetryingClaims || !chain.contractReady) {
+    return;
+  }
+  chain.isRetryingClaims = true;
+
+  try {
+    const claims = await db.all(
+      `SELECT * FROM claims
+       WHERE chain = ?
+         AND decision IN ('retry', 'pending', 'verified', 'accept_failed')
+         AND updated_at <= datetime('now', ?)
+       ORDER BY CAST(claim_id AS INTEGER) ASC`,
+      [chain.key, `-${LISTENER_CONFIG.claimRetryMinutes} minutes`]
+    );
+
+    for (const claim of claims) {
+      console.log(
+        `Retrying claim #${claim.claim_id} on ${chain.config.name} (attempt ${
+          claim.attempts + 1
+        })`
+      );
+      try {
+        if (claim.decision === "accept_failed") {
+          await retryClaimAcceptance(chain, claim);
+        } else {
+          await verifyClaim(chain, claim);
+        }
+      } catch (error) {
+        console.error(`Error retrying claim #${claim.claim_id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error(`Error retrying claims on ${chain.config.name}:`, error);
+  } finally {
+    chain.isRetryingClaims = false;
+  }
+}
+
+const CLAIM_LISTENER_CURSOR = "claim_listener";
+
+// Process confirmed ClaimCreated events between the stored cursor and the
+// chain head, persisting the cursor after every chunk
+async function pollClaims(chain) {
+  if (chain.isPollingClaims) {
+    return;
+  }
+  chain.isPollingClaims = true;
+
+  try {
+    const latestBlock = await chain.provider.getBlockNumber();
+    const safeBlock = latestBlock - LISTENER_CONFIG.confirmations;
+
+    if (safeBlock > chain.lastProcessedBlock) {
+      console.log(
+        `Checking for claims on ${chain.config.name} from block ${
+          chain.lastProcessedBlock + 1
+        } to ${safeBlock}`
+      );
+
+      await queryFilterInChunks(
+        chain,
+        "ClaimCreated",
+        chain.lastProcessedBlock + 1,
+        safeBlock,
+        async (events, chunkEnd) => {
+          for (const event of events) {
+            await processClaimEvent(chain, event);
+          }
+
+          chain.lastProcessedBlock = chunkEnd;
+          await setSyncCursor(chain, CLAIM_LISTENER_CURSOR, chunkEnd);
+        }
+      );
+    }
+  } catch (error) {
+    console.error(`Error polling for claims on ${chain.config.name}:`, error);
+    if (error.code === "NETWORK_ERROR" || error.code === "UNKNOWN_ERROR") {
+      console.log("Network error detected. Attempting to reconnect...");
+      await initializeContract(chain).catch(() => {});
+    }
+  } finally {
+    chain.isPollingClaims = false;
+  }
+}
+
+// Claim listener and processor
+export async function setupClaimListener(chain) {
+  console.log(`Setting up claim listener on ${chain.config.name}...`);
+  const latestBlock = await chain.provider.getBlockNumber();
+  const storedBlock = await getSyncCursor(chain, CLAIM_LISTENER_CURSOR);
+
+  if (storedBlock === null) {
+    // First run: nothing to backfill, start from the confirmed head
+    chain.lastProcessedBlock = latestBlock - LISTENER_CONFIG.confirmations;
+    await setSyncCursor(chain, CLAIM_LISTENER_CURSOR, chain.lastProcessedBlock);
+  } else if (latestBlock - storedBlock > LISTENER_CONFIG.maxBackfillBlocks) {
+    chain.lastProcessedBlock = latestBlock - LISTENER_CONFIG.maxBackfillBlocks;
+    console.warn(
+      `Claim cursor at block ${storedBlock} is more than ${LISTENER_CONFIG.maxBackfillBlocks} blocks behind, backfilling from ${chain.lastProcessedBlock} instead`
+    );
+  } else {
+    chain.lastProcessedBlock = storedBlock;
+    console.log(`Resuming claim listener from block ${storedBlock}`);
+  }
+
+  // Backfill anything missed while we were down, then keep polling
+  await pollClaims(chain);
+  setInterval(() => pollClaims(chain), LISTENER_CONFIG.pollInterval);
+}
+
+export function formatVoteRecord(vote) {
+  return {
+    claimId: vote.claim_id,
+    submitTxHash: vote.submit_tx_hash,
+    deadline: vote.deadline,
+    yesVotes: vote.yes_votes ? ethers.formatEther(vote.yes_votes) : null,
+    noVotes: vote.no_votes ? ethers.formatEther(vote.no_votes) : null,
+    outcome: vote.outcome,
+    resolveTxHash: vote.resolve_tx_hash,
+    submittedAt: vote.submitted_at,
+    resolvedAt: vote.resolved_at,
+  };
+}
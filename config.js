@@ -0,0 +1,354 @@
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import sqlite3 from "sqlite3";
+
+dotenv.config();
+
+// Invalid chain settings stop the bot before anything starts, naming the
+// setting instead of crashing with a bare stack trace
+export function exitWithConfigError(message) {
+  console.error(`Invalid configuration: ${message}`);
+  process.exit(1);
+}
+
+// Signs for the bot on every chain
+export const PRIVATE_KEY = process.env.PRIVATE_KEY;
+
+// OpenAI configuration for generating bounty ideas
+export const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+
+// Claim verification configuration
+export const VERIFICATION_CONFIG = {
+  // "openrouter", "openai-compatible" or "stub"
+  provider: process.env.VERIFICATION_PROVIDER || "openrouter",
+  model: process.env.VERIFICATION_MODEL || "openai/gpt-4o-mini",
+  // Only used by the openai-compatible provider, e.g. http://localhost:11434/v1
+  baseUrl: process.env.VERIFICATION_BASE_URL,
+  apiKey: process.env.VERIFICATION_API_KEY || OPENROUTER_API_KEY,
+  // Minimum score (1-10) for a claim to be accepted, overridable per bounty
+  threshold: Number(process.env.VERIFICATION_THRESHOLD || 7),
+  // Score the stub provider returns for every claim
+  stubScore: Number(process.env.VERIFICATION_STUB_SCORE || 8),
+  // Consensus mode: several models (or several samples of one) vote on a claim
+  consensus: {
+    models: (process.env.VERIFICATION_CONSENSUS_MODELS || "")
+      .split(",")
+      .map((model) => model.trim())
+      .filter(Boolean),
+    samples: Number(process.env.VERIFICATION_CONSENSUS_SAMPLES || 1),
+    // "majority", "min" or "mean"
+    rule: process.env.VERIFICATION_CONSENSUS_RULE || "majority",
+    // Sampling temperature, so repeated samples of one model can disagree
+    temperature: Number(process.env.VERIFICATION_CONSENSUS_TEMPERATURE || 0.7),
+  },
+};
+
+// How a winner is picked among a bounty's claims
+export const JUDGING_CONFIG = {
+  // "first-valid" accepts the first claim that passes verification,
+  // "best-score" holds passing claims until the deadline and accepts the best one
+  strategy: process.env.JUDGING_STRATEGY || "first-valid",
+  // Hours after creation that a bounty takes submissions
+  windowHours: Number(process.env.JUDGING_WINDOW_HOURS || 24),
+};
+
+export const JUDGING_STRATEGIES = ["first-valid", "best-score"];
+
+// Unclaimed bounties are cancelled (and refunded) this long after their deadline
+export const EXPIRY_CONFIG = {
+  enabled: process.env.BOUNTY_EXPIRY_ENABLED !== "false",
+  graceHours: Number(process.env.BOUNTY_GRACE_HOURS || 1),
+};
+
+// "solo" bounties are paid out by acceptClaim, "open" (crowd-funded) ones
+// go through a participant vote on the claim the bot picks
+export const BOUNTY_TYPES = ["solo", "open"];
+export const DEFAULT_BOUNTY_TYPE = process.env.BOUNTY_TYPE || "solo";
+
+// Human review of borderline AI scores
+export const REVIEW_CONFIG = {
+  // Scores inside [min, max] are parked for a reviewer instead of being
+  // auto-accepted or rejected; leave unset to disable the review queue
+  uncertainMin: process.env.REVIEW_UNCERTAIN_MIN
+    ? Number(process.env.REVIEW_UNCERTAIN_MIN)
+    : null,
+  uncertainMax: process.env.REVIEW_UNCERTAIN_MAX
+    ? Number(process.env.REVIEW_UNCERTAIN_MAX)
+    : null,
+};
+
+// API key authentication for privileged endpoints
+export const API_CONFIG = {
+  // Seeded as an admin key on startup so the first keys can be issued
+  bootstrapAdminKey: process.env.ADMIN_API_KEY,
+  // Requests per key per minute, unless the key has its own limit
+  rateLimitPerMinute: Number(process.env.API_RATE_LIMIT_PER_MINUTE || 60),
+  // Page sizes of the paginated listings
+  defaultPageSize: Number(process.env.API_DEFAULT_PAGE_SIZE || 20),
+  maxPageSize: Number(process.env.API_MAX_PAGE_SIZE || 100),
+  // An Idempotency-Key left in progress this long (e.g. by a crash) can be
+  // used again, unless its request already created a bounty
+  idempotencyPendingMinutes: Number(
+    process.env.IDEMPOTENCY_PENDING_MINUTES || 15
+  ),
+};
+
+// "admin" can do everything, "read" can only use protected read endpoints
+export const API_SCOPES = ["admin", "read"];
+
+// Add after other configurations
+export const DB_CONFIG = {
+  // ":memory:" gives a throwaway database, e.g. for tests
+  filename: process.env.DB_PATH || "./bounties.db",
+  driver: sqlite3.Database,
+};
+
+// Claim listener configuration
+export const LISTENER_CONFIG = {
+  pollInterval: Number(process.env.CLAIM_POLL_INTERVAL_MS || 15000),
+  // Blocks a ClaimCreated event must be buried under before we act on it
+  confirmations: Number(process.env.CLAIM_CONFIRMATIONS || 3),
+  // Max block window per eth_getLogs call (many RPCs cap this)
+  maxBlockRange: Number(process.env.LOG_BLOCK_RANGE || 2000),
+  // Never backfill further than this many blocks behind the head on startup
+  maxBackfillBlocks: Number(process.env.MAX_BACKFILL_BLOCKS || 100000),
+  // A claim whose processing failed is retried this many minutes later, up
+  // to maxClaimAttempts times before it's left as "error" for a human
+  claimRetryMinutes: Number(process.env.CLAIM_RETRY_MINUTES || 5),
+  maxClaimAttempts: Number(process.env.CLAIM_MAX_ATTEMPTS || 5),
+};
+
+// Local index of every bounty contract event; the start block is set per
+// chain in the registry
+export const INDEXER_CONFIG = {
+  pollInterval: Number(process.env.INDEXER_POLL_INTERVAL_MS || 30000),
+};
+
+// Transaction manager: every transaction the bot signs goes through it
+export const TX_CONFIG = {
+  // Headroom added on top of eth_estimateGas
+  gasLimitMultiplier: Number(process.env.TX_GAS_LIMIT_MULTIPLIER || 1.2),
+  // Refuse transactions estimated above this gas limit
+  maxGasLimit: BigInt(process.env.TX_MAX_GAS_LIMIT || 1000000),
+  // Never pay more than this per gas, even when bumping (gwei)
+  maxFeePerGas: ethers.parseUnits(process.env.TX_MAX_FEE_GWEI || "1000", "gwei"),
+  maxPriorityFeePerGas: ethers.parseUnits(
+    process.env.TX_MAX_PRIORITY_FEE_GWEI || "10",
+    "gwei"
+  ),
+  // A transaction still unmined after this long is re-sent with higher fees
+  stuckAfterMs: Number(process.env.TX_STUCK_AFTER_MS || 120000),
+  bumpPercent: BigInt(process.env.TX_BUMP_PERCENT || 20),
+  maxBumps: Number(process.env.TX_MAX_BUMPS || 5),
+  receiptPollMs: Number(process.env.TX_RECEIPT_POLL_MS || 3000),
+};
+
+// Spending safeguards; caps and the balance floor are set per chain in the
+// registry
+export const SPEND_CONFIG = {
+  // Optional webhook (Slack/Discord compatible) for budget alerts
+  alertWebhookUrl: process.env.ALERT_WEBHOOK_URL,
+};
+
+export const ERC20_ABI = [
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+// Theme the bot starts with; seeded as the first campaign on a fresh DB and
+// editable through the campaign endpoints from then on
+export const DEFAULT_CAMPAIGN = {
+  name: "Top hats",
+  // {{recentTitles}} is replaced with recent bounty titles to avoid repeats
+  themePrompt: `Generate a concise bounty idea that requires photo proof. These bounties are for a community that values top hats, please creatively include a top hat request in each bounty. Format response as JSON with title and description. Example format: {"title": "Top Hat Tea Time", "description": "Share a photo of your afternoon tea while wearing a top hat"}. AVOID generating anything similar to these recent bounties:\n{{recentTitles}}`,
+  fallbackIdeas: [
+    {
+      title: "Top Hat Tea Time",
+      description:
+        "Share a photo of yourself enjoying tea while wearing a distinguished top hat in an unexpected location.",
+    },
+    {
+      title: "Formal Pet Portrait",
+      description:
+        "Dress your pet in a top hat and take a Victorian-style portrait photo.",
+    },
+    {
+      title: "Top Hat Trick Shot",
+      description:
+        "Capture a photo of yourself successfully landing a small object into a top hat from at least 10 feet away.",
+    },
+    {
+      title: "Historical Hat Recreation",
+      description:
+        "Recreate a famous historical photo or painting while wearing a top hat.",
+    },
+    {
+      title: "Top Hat Garden Party",
+      description:
+        "Host an impromptu garden party with at least 3 people wearing top hats, even if it's in your living room.",
+    },
+    {
+      title: "Breakfast with Class",
+      description:
+        "Take a photo of your morning breakfast setup with a miniature top hat perched on something in the scene.",
+    },
+    {
+      title: "Top Hat Transportation",
+      description:
+        "Capture yourself wearing a top hat while using an unusual form of transportation (skateboard, unicycle, etc).",
+    },
+    {
+      title: "Hat Stack Challenge",
+      description:
+        "Successfully balance and photograph at least 3 top hats stacked on your head.",
+    },
+    {
+      title: "Top Hat Wildlife",
+      description:
+        "Edit a top hat onto a photo you take of local wildlife (bird, squirrel, etc).",
+    },
+    {
+      title: "Formal Fitness",
+      description:
+        "Share a photo of yourself exercising while wearing a top hat.",
+    },
+  ],
+  // Runs at 12:00 PM every day
+  schedule: "0 12 * * *",
+};
+
+// Bounty lifecycle: drafts are generated, reviewed, then published on-chain
+export const BOUNTY_STATUSES = [
+  "draft",
+  "approved",
+  "scheduled",
+  "published",
+  "failed",
+  "unconfirmed",
+  "blocked",
+  "cancelled",
+];
+export const PUBLISH_CONFIG = {
+  // Generate and publish a bounty at a campaign's slot when no approved
+  // draft is waiting; off means nothing goes on-chain without a human check
+  autoGenerate: process.env.AUTO_GENERATE_BOUNTIES === "true",
+  maxDraftsPerRequest: Number(process.env.MAX_DRAFTS_PER_REQUEST || 10),
+};
+
+// Duplicate detection for generated bounty ideas
+const SIMILARITY_PROVIDER = process.env.SIMILARITY_PROVIDER || "local";
+export const SIMILARITY_CONFIG = {
+  // "local" compares word overlap and works offline; "openai-compatible"
+  // uses an /embeddings endpoint
+  provider: SIMILARITY_PROVIDER,
+  model: process.env.EMBEDDING_MODEL || "openai/text-embedding-3-small",
+  baseUrl: process.env.EMBEDDING_BASE_URL || "https://openrouter.ai/api/v1",
+  apiKey: process.env.EMBEDDING_API_KEY || OPENROUTER_API_KEY,
+  // Ideas at least this similar (cosine, 0-1) to an existing bounty are
+  // regenerated; embeddings score related texts higher than word overlap
+  threshold: Number(
+    process.env.SIMILARITY_THRESHOLD || (SIMILARITY_PROVIDER === "local" ? 0.6 : 0.9)
+  ),
+  // Word overlap threshold used while the embeddings provider fails
+  fallbackThreshold: Number(process.env.SIMILARITY_FALLBACK_THRESHOLD || 0.6),
+  // Generation attempts before falling back to the campaign's ideas
+  maxAttempts: Number(process.env.IDEA_MAX_ATTEMPTS || 3),
+};
+
+export const BOUNTY_DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Appended to every campaign prompt so ideas come back with metadata
+export const BOUNTY_IDEA_FORMAT = `Respond with only a JSON object of this shape: {"title": string, "description": string, "difficulty": "easy" | "medium" | "hard", "tags": string[], "requiredProps": string[], "safetyNotes": string}. tags are a few lowercase keywords, requiredProps are the objects a participant needs, and safetyNotes mention any risk participants should keep in mind (empty if none).`;
+
+// Content safety screening of generated bounties and submitted claims
+export const MODERATION_CONFIG = {
+  // "openrouter", "openai-compatible", "stub" or "off"; the blocklist is
+  // checked whichever provider is used
+  provider: process.env.MODERATION_PROVIDER || VERIFICATION_CONFIG.provider,
+  model: process.env.MODERATION_MODEL || VERIFICATION_CONFIG.model,
+  baseUrl: process.env.MODERATION_BASE_URL || VERIFICATION_CONFIG.baseUrl,
+  apiKey: process.env.MODERATION_API_KEY || VERIFICATION_CONFIG.apiKey,
+  // Extra comma-separated phrases that always flag bounty or claim text
+  blockedTerms: (process.env.MODERATION_BLOCKED_TERMS || "")
+    .split(",")
+    .map((term) => term.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+export const MODERATION_CATEGORIES = [
+  "dangerous",
+  "illegal",
+  "trespass",
+  "harassment",
+  "nsfw",
+  "violence",
+  "hate",
+  "self-harm",
+  "personal-data",
+  "other",
+];
+
+// Phrases that flag text without asking a model, by category
+export const MODERATION_BLOCKLIST = {
+  trespass: ["trespass", "trespassing", "break into", "sneak into", "restricted area"],
+  dangerous: ["train tracks", "railway tracks", "set fire", "explosive", "explosives"],
+  illegal: ["steal", "stealing", "shoplift", "shoplifting", "vandalize", "vandalism", "drugs"],
+  nsfw: ["nude", "naked", "nsfw", "porn"],
+};
+
+// Checks for re-used and pre-existing claim photos
+export const FRAUD_CONFIG = {
+  enabled: process.env.IMAGE_FRAUD_CHECKS !== "false",
+  // Perceptual hashes at most this many bits apart (out of 64) are treated
+  // as the same photo
+  duplicateDistance: Number(process.env.DUPLICATE_HASH_DISTANCE || 6),
+  // EXIF times rarely carry a timezone, so a photo only counts as taken
+  // before the bounty when it's more than this many hours earlier
+  captureSlackHours: Number(process.env.CAPTURE_TIME_SLACK_HOURS || 14),
+  // "review" parks suspect claims for a human, "reject" fails them
+  action: process.env.FRAUD_ACTION || "review",
+};
+
+// Where NFT metadata and claim images are fetched from
+export const GATEWAY_CONFIG = {
+  // Tried in order; a local IPFS node (e.g. http://127.0.0.1:8080/ipfs/)
+  // set in IPFS_LOCAL_GATEWAY always goes first
+  ipfsGateways: [
+    process.env.IPFS_LOCAL_GATEWAY,
+    ...(
+      process.env.IPFS_GATEWAYS ||
+      "https://ipfs.io/ipfs/,https://dweb.link/ipfs/,https://gateway.pinata.cloud/ipfs/"
+    ).split(","),
+  ]
+    .map((gateway) => gateway?.trim())
+    .filter(Boolean),
+  arweaveGateways: (process.env.ARWEAVE_GATEWAYS || "https://arweave.net/")
+    .split(",")
+    .map((gateway) => gateway.trim())
+    .filter(Boolean),
+  // Plain HTTP(S) URLs from metadata may not point at private or loopback
+  // addresses unless their host is listed here
+  allowedHosts: (process.env.GATEWAY_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+  maxRedirects: 3,
+  // Per-gateway request timeout
+  timeoutMs: Number(process.env.GATEWAY_TIMEOUT_MS || 10000),
+  maxContentBytes: Number(process.env.GATEWAY_MAX_CONTENT_BYTES || 20 * 1024 * 1024),
+  // ipfs:// and ar:// content never changes; plain HTTP(S) URLs are refetched
+  // after this long
+  httpCacheSeconds: Number(process.env.GATEWAY_HTTP_CACHE_SECONDS || 3600),
+  // Small bodies (metadata) are kept in SQLite, larger ones (images) on disk
+  cacheDir: process.env.GATEWAY_CACHE_DIR || "./.cache/content",
+  inlineMaxBytes: 64 * 1024,
+};
+
+// Matching of bounty rows against the bot's bounties on-chain
+export const RECONCILE_CONFIG = {
+  schedule: process.env.RECONCILE_SCHEDULE || "*/30 * * * *",
+  // Add a row for bounties the bot's wallet created outside the bot
+  importExternal: process.env.RECONCILE_IMPORT_EXTERNAL !== "false",
+};
@@ -0,0 +1,566 @@
+import { open } from "sqlite";
+import { API_CONFIG, DB_CONFIG, DEFAULT_CAMPAIGN } from "./config.js";
+import { DEFAULT_CHAIN } from "./chains.js";
+import { hashApiKey } from "./auth.js";
+
+// Database connection; the schema is created and migrated once at startup
+export let db;
+export const dbReady = (async () => {
+  db = await open(DB_CONFIG);
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS bounties (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      contract_bounty_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Add column if it doesn't exist (SQLite doesn't support ADD COLUMN IF NOT EXISTS)
+  try {
+    await db.exec(`ALTER TABLE bounties ADD COLUMN contract_bounty_id TEXT`);
+  } catch (error) {
+    // Column might already exist, that's okay
+    console.log("Column might already exist, continuing...");
+  }
+  await addColumnIfMissing("bounties", "verification_threshold", "INTEGER");
+  await addColumnIfMissing("bounties", "judging_strategy", "TEXT");
+  // Bounties from before deadlines were stored ran for 24 hours
+  if (await addColumnIfMissing("bounties", "deadline", "DATETIME")) {
+    await db.run(
+      "UPDATE bounties SET deadline = datetime(created_at, '+24 hours')"
+    );
+  }
+  await addColumnIfMissing("bounties", "judged_at", "DATETIME");
+  await addColumnIfMissing("bounties", "bounty_type", "TEXT");
+  await addColumnIfMissing("bounties", "cancelled_at", "DATETIME");
+  await addColumnIfMissing("bounties", "cancel_tx_hash", "TEXT");
+  await addColumnIfMissing("bounties", "refund_amount", "TEXT");
+  await addColumnIfMissing("bounties", "campaign_id", "INTEGER");
+  // Rows from before the lifecycle existed: anything without an on-chain id
+  // is an idea that never made it on-chain
+  if (await addColumnIfMissing("bounties", "status", "TEXT")) {
+    await db.run(
+      `UPDATE bounties SET status = CASE
+         WHEN cancelled_at IS NOT NULL THEN 'cancelled'
+         WHEN contract_bounty_id IS NOT NULL THEN 'published'
+         ELSE 'failed'
+       END`
+    );
+  }
+  await addColumnIfMissing("bounties", "window_hours", "INTEGER");
+  await addColumnIfMissing("bounties", "scheduled_for", "DATETIME");
+  await addColumnIfMissing("bounties", "published_at", "DATETIME");
+  await addColumnIfMissing("bounties", "publish_error", "TEXT");
+  await addColumnIfMissing("bounties", "reviewer", "TEXT");
+  await addColumnIfMissing("bounties", "review_note", "TEXT");
+  await addColumnIfMissing("bounties", "reviewed_at", "DATETIME");
+  await addColumnIfMissing("bounties", "difficulty", "TEXT");
+  await addColumnIfMissing("bounties", "tags", "TEXT");
+  await addColumnIfMissing("bounties", "required_props", "TEXT");
+  await addColumnIfMissing("bounties", "safety_notes", "TEXT");
+  await addColumnIfMissing("bounties", "similarity", "REAL");
+  await addColumnIfMissing("bounties", "similar_to", "INTEGER");
+  await addColumnIfMissing("bounties", "moderation_status", "TEXT");
+  await addColumnIfMissing("bounties", "origin", "TEXT");
+  await addColumnIfMissing("bounties", "reconcile_issue", "TEXT");
+  await addColumnIfMissing("bounties", "reconcile_note", "TEXT");
+  await addColumnIfMissing("bounties", "reconciled_at", "DATETIME");
+  await addColumnIfMissing("bounties", "publish_transaction_id", "INTEGER");
+  // Everything from before the chain registry ran on Degen
+  if (await addColumnIfMissing("bounties", "chain", "TEXT")) {
+    await db.run("UPDATE bounties SET chain = 'degen'");
+  }
+  // Reward in the chain's native currency; NULL uses the campaign's. Set to
+  // the amount actually sent once published.
+  await addColumnIfMissing("bounties", "reward", "TEXT");
+
+  // Similarity vectors of every bounty idea, per provider/model; local
+  // vectors are sparse { term: weight } maps, embeddings are arrays
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS bounty_embeddings (
+      bounty_id INTEGER NOT NULL,
+      provider TEXT NOT NULL,
+      vector TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (bounty_id, provider)
+    )
+  `);
+
+  // Themes the bot generates bounties for. Bounties are published on
+  // `chain`, reward is in its native currency (NULL uses the chain's
+  // bountyAmount), schedule is a cron expression, and used_fallbacks lists
+  // the fallback_ideas indices already handed out.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      theme_prompt TEXT NOT NULL,
+      fallback_ideas TEXT NOT NULL DEFAULT '[]',
+      used_fallbacks TEXT NOT NULL DEFAULT '[]',
+      reward TEXT,
+      schedule TEXT,
+      starts_at DATETIME,
+      ends_at DATETIME,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  if (await addColumnIfMissing("campaigns", "chain", "TEXT")) {
+    await db.run("UPDATE campaigns SET chain = 'degen'");
+  }
+  const { campaignCount } = await db.get(
+    "SELECT COUNT(*) AS campaignCount FROM campaigns"
+  );
+  if (!campaignCount) {
+    await db.run(
+      `INSERT INTO campaigns (name, theme_prompt, fallback_ideas, schedule, chain)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        DEFAULT_CAMPAIGN.name,
+        DEFAULT_CAMPAIGN.themePrompt,
+        JSON.stringify(DEFAULT_CAMPAIGN.fallbackIdeas),
+        DEFAULT_CAMPAIGN.schedule,
+        DEFAULT_CHAIN,
+      ]
+    );
+  }
+
+  // Audit trail of every claim the listener has seen and how it was judged
+  const createClaimsTable = () =>
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS claims (
+      chain TEXT NOT NULL,
+      claim_id TEXT NOT NULL,
+      bounty_id TEXT NOT NULL,
+      claimer TEXT NOT NULL,
+      name TEXT,
+      description TEXT,
+      image_url TEXT,
+      model TEXT,
+      prompt TEXT,
+      raw_response TEXT,
+      score INTEGER,
+      decision TEXT NOT NULL DEFAULT 'pending',
+      error TEXT,
+      accept_tx_hash TEXT,
+      claim_created_at DATETIME,
+      verified_at DATETIME,
+      accepted_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chain, claim_id)
+    )
+  `);
+  await createClaimsTable();
+  await addColumnIfMissing("claims", "provider", "TEXT");
+  await addColumnIfMissing("claims", "reasoning", "TEXT");
+  await addColumnIfMissing("claims", "detected_objects", "TEXT");
+  await addColumnIfMissing("claims", "threshold", "INTEGER");
+  await addColumnIfMissing("claims", "consensus_rule", "TEXT");
+  await addColumnIfMissing("claims", "reviewer", "TEXT");
+  await addColumnIfMissing("claims", "review_note", "TEXT");
+  await addColumnIfMissing("claims", "reviewed_at", "DATETIME");
+  await addColumnIfMissing("claims", "image_hash", "TEXT");
+  await addColumnIfMissing("claims", "duplicate_of", "TEXT");
+  await addColumnIfMissing("claims", "duplicate_distance", "INTEGER");
+  await addColumnIfMissing("claims", "captured_at", "DATETIME");
+  await addColumnIfMissing("claims", "fraud_flags", "TEXT");
+  await addColumnIfMissing("claims", "fraud_error", "TEXT");
+  await addColumnIfMissing("claims", "duplicate_of_chain", "TEXT");
+  await addChainToKey("claims", createClaimsTable);
+  await addColumnIfMissing("claims", "attempts", "INTEGER NOT NULL DEFAULT 0");
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_claims_bounty_id ON claims (chain, bounty_id)`
+  );
+
+  // Individual model opinions behind each claim decision
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS claim_votes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      claim_id TEXT NOT NULL,
+      model TEXT NOT NULL,
+      sample INTEGER NOT NULL DEFAULT 1,
+      score INTEGER,
+      reasoning TEXT,
+      detected_objects TEXT,
+      raw_response TEXT,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  if (await addColumnIfMissing("claim_votes", "chain", "TEXT")) {
+    await db.run("UPDATE claim_votes SET chain = 'degen'");
+  }
+  await db.exec(`DROP INDEX IF EXISTS idx_claim_votes_claim_id`);
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_claim_votes_chain_claim_id ON claim_votes (chain, claim_id)`
+  );
+
+  // Open bounty contributors, refreshed from getParticipants()
+  const createParticipantsTable = () =>
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS bounty_participants (
+      chain TEXT NOT NULL,
+      bounty_id TEXT NOT NULL,
+      participant TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chain, bounty_id, participant)
+    )
+  `);
+  await createParticipantsTable();
+  await addChainToKey("bounty_participants", createParticipantsTable);
+
+  // Every claim the bot has put to an open bounty vote, and how it ended
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS bounty_votes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bounty_id TEXT NOT NULL,
+      claim_id TEXT NOT NULL,
+      submit_tx_hash TEXT,
+      deadline DATETIME,
+      yes_votes TEXT,
+      no_votes TEXT,
+      outcome TEXT,
+      resolve_tx_hash TEXT,
+      submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME
+    )
+  `);
+  if (await addColumnIfMissing("bounty_votes", "chain", "TEXT")) {
+    await db.run("UPDATE bounty_votes SET chain = 'degen'");
+  }
+
+  // Raw log of every contract event the indexer has ingested
+  const createEventsTable = () =>
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS chain_events (
+      chain TEXT NOT NULL,
+      tx_hash TEXT NOT NULL,
+      log_index INTEGER NOT NULL,
+      block_number INTEGER NOT NULL,
+      event_name TEXT NOT NULL,
+      bounty_id TEXT,
+      claim_id TEXT,
+      account TEXT,
+      args TEXT NOT NULL,
+      PRIMARY KEY (chain, tx_hash, log_index)
+    )
+  `);
+  await createEventsTable();
+  await addChainToKey("chain_events", createEventsTable);
+  // Whether the event's derived state was written. Events are inserted with
+  // 0; rows from before the column existed were applied on insert.
+  await addColumnIfMissing(
+    "chain_events",
+    "applied",
+    "INTEGER NOT NULL DEFAULT 1"
+  );
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_chain_events_bounty_id ON chain_events (chain, bounty_id, event_name)`
+  );
+
+  // Current state of every bounty and claim, derived from chain_events
+  const createChainBountiesTable = () =>
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS chain_bounties (
+      chain TEXT NOT NULL,
+      bounty_id TEXT NOT NULL,
+      issuer TEXT NOT NULL,
+      name TEXT,
+      description TEXT,
+      amount TEXT NOT NULL,
+      created_at INTEGER,
+      block_number INTEGER,
+      tx_hash TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      winning_claim_id TEXT,
+      winner TEXT,
+      accept_tx_hash TEXT,
+      cancel_tx_hash TEXT,
+      PRIMARY KEY (chain, bounty_id)
+    )
+  `);
+  await createChainBountiesTable();
+  await addChainToKey("chain_bounties", createChainBountiesTable);
+  const createChainClaimsTable = () =>
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS chain_claims (
+      chain TEXT NOT NULL,
+      claim_id TEXT NOT NULL,
+      bounty_id TEXT NOT NULL,
+      issuer TEXT NOT NULL,
+      bounty_issuer TEXT,
+      name TEXT,
+      description TEXT,
+      created_at INTEGER,
+      block_number INTEGER,
+      tx_hash TEXT,
+      accepted INTEGER NOT NULL DEFAULT 0,
+      accept_tx_hash TEXT,
+      fee TEXT,
+      PRIMARY KEY (chain, claim_id)
+    )
+  `);
+  await createChainClaimsTable();
+  await addColumnIfMissing("chain_claims", "token_uri", "TEXT");
+  await addChainToKey("chain_claims", createChainClaimsTable);
+  // Block time of the ClaimAccepted event; NULL for claims accepted before
+  // it was indexed
+  await addColumnIfMissing("chain_claims", "accepted_at", "INTEGER");
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_chain_claims_bounty_id ON chain_claims (chain, bounty_id)`
+  );
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_chain_claims_issuer ON chain_claims (issuer)`
+  );
+
+  // Fetched NFT metadata and images by URI. Bodies are addressed by their
+  // SHA-256: inline when small, otherwise a file of that name in the cache dir
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS content_cache (
+      uri TEXT PRIMARY KEY,
+      sha256 TEXT NOT NULL,
+      content_type TEXT,
+      size INTEGER NOT NULL,
+      body BLOB,
+      source TEXT,
+      fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // API keys are stored as SHA-256 hashes, never in plain text
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL,
+      rate_limit_per_minute INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    )
+  `);
+  if (API_CONFIG.bootstrapAdminKey) {
+    await db.run(
+      "INSERT OR IGNORE INTO api_keys (name, key_hash, scopes) VALUES (?, ?, ?)",
+      ["bootstrap", hashApiKey(API_CONFIG.bootstrapAdminKey), "admin"]
+    );
+  }
+
+  // Responses to requests sent with an Idempotency-Key header
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      api_key_id INTEGER NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      status TEXT NOT NULL,
+      response_status INTEGER,
+      response_body TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (api_key_id, idempotency_key)
+    )
+  `);
+  // SHA-256 of the request body, so a key can't be reused for another request
+  await addColumnIfMissing("idempotency_keys", "request_hash", "TEXT");
+  // The bounty row the request created, once it has one
+  await addColumnIfMissing("idempotency_keys", "bounty_id", "INTEGER");
+  await addColumnIfMissing("idempotency_keys", "started_at", "DATETIME");
+
+  // Every transaction sent by the transaction manager. Status is pending,
+  // confirmed, failed (reverted or dropped), or rejected when the node
+  // refused the broadcast.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      method TEXT NOT NULL,
+      args TEXT,
+      to_address TEXT NOT NULL,
+      data TEXT NOT NULL,
+      value TEXT NOT NULL DEFAULT '0',
+      nonce INTEGER NOT NULL,
+      gas_limit TEXT NOT NULL,
+      max_fee_per_gas TEXT,
+      max_priority_fee_per_gas TEXT,
+      gas_price TEXT,
+      hash TEXT NOT NULL,
+      previous_hashes TEXT NOT NULL DEFAULT '[]',
+      bumps INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'pending',
+      block_number INTEGER,
+      gas_used TEXT,
+      gas_cost TEXT,
+      error TEXT,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      confirmed_at DATETIME
+    )
+  `);
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (status)`
+  );
+  if (await addColumnIfMissing("transactions", "chain", "TEXT")) {
+    await db.run("UPDATE transactions SET chain = 'degen'");
+  }
+  // Set once an alert went out that the transaction can't be bumped further
+  await addColumnIfMissing(
+    "transactions",
+    "stuck_alerted",
+    "INTEGER NOT NULL DEFAULT 0"
+  );
+
+  // One token payout per bot-issued bounty. A payout is linked to its
+  // transaction before broadcast, so it can never be sent twice.
+  const createPayoutsTable = () =>
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS payouts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chain TEXT NOT NULL,
+      bounty_id TEXT NOT NULL,
+      claim_id TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      token_address TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      transaction_id INTEGER,
+      tx_hash TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      accept_tx_hash TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      paid_at DATETIME,
+      UNIQUE (chain, bounty_id)
+    )
+  `);
+  await createPayoutsTable();
+  await addChainToKey("payouts", createPayoutsTable);
+
+  // Bounties and claims blocked by moderation, kept for a reviewer to
+  // confirm or allow
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS moderation_flags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_type TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      content TEXT,
+      image_url TEXT,
+      categories TEXT,
+      reason TEXT,
+      provider TEXT,
+      model TEXT,
+      raw_response TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      reviewer TEXT,
+      review_note TEXT,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_moderation_flags_item ON moderation_flags (item_type, item_id)`
+  );
+  // Bounty flags point at a bounty row and claim flags at a claim on `chain`
+  if (await addColumnIfMissing("moderation_flags", "chain", "TEXT")) {
+    await db.run("UPDATE moderation_flags SET chain = 'degen'");
+  }
+
+  // Outcome of each chain reconciliation pass
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      on_chain INTEGER,
+      linked INTEGER,
+      imported INTEGER,
+      orphans INTEGER,
+      duplicates INTEGER,
+      error TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME
+    )
+  `);
+  if (await addColumnIfMissing("reconciliation_runs", "chain", "TEXT")) {
+    await db.run("UPDATE reconciliation_runs SET chain = 'degen'");
+  }
+
+  // Block cursors for the background pollers, so restarts resume where they
+  // left off. Names are prefixed with the chain, e.g. "degen:claim_listener".
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      name TEXT PRIMARY KEY,
+      block_number INTEGER NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run(
+    "UPDATE sync_state SET name = 'degen:' || name WHERE name NOT LIKE '%:%'"
+  );
+})();
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so check the schema first.
+// Returns whether the column was added, so a backfill for the rows that
+// predate it runs only once.
+async function addColumnIfMissing(table, column, type) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (columns.some((c) => c.name === column)) {
+    return false;
+  }
+  await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  return true;
+}
+
+// Tables keyed by on-chain ids predate the chain registry. SQLite can't
+// change a primary key in place, so such a table is renamed, recreated by
+// createTable() with the chain in its key, and its rows copied over as Degen's.
+async function addChainToKey(table, createTable) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (columns.some((c) => c.name === "chain")) {
+    return;
+  }
+
+  const names = columns.map((c) => c.name).join(", ");
+  await db.exec("BEGIN");
+  try {
+    await db.exec(`ALTER TABLE ${table} RENAME TO ${table}_before_chains`);
+    await createTable();
+    for (const column of columns) {
+      await addColumnIfMissing(table, column.name, column.type);
+    }
+    await db.exec(
+      `INSERT INTO ${table} (chain, ${names})
+       SELECT 'degen', ${names} FROM ${table}_before_chains`
+    );
+    await db.exec(`DROP TABLE ${table}_before_chains`);
+    await db.exec("COMMIT");
+  } catch (error) {
+    await db.exec("ROLLBACK");
+    throw error;
+  }
+}
+
+export async function getSyncCursor(chain, name) {
+  await dbReady;
+  const row = await db.get(
+    "SELECT block_number FROM sync_state WHERE name = ?",
+    [`${chain.key}:${name}`]
+  );
+  return row ? row.block_number : null;
+}
+
+export async function setSyncCursor(chain, name, blockNumber) {
+  await db.run(
+    `INSERT INTO sync_state (name, block_number, updated_at)
+     VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(name) DO UPDATE SET
+       block_number = excluded.block_number,
+       updated_at = excluded.updated_at`,
+    [`${chain.key}:${name}`, blockNumber]
+  );
+}
+
+export function toSqliteDatetime(date) {
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
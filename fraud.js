@@ -0,0 +1,139 @@
+import sharp from "sharp";
+import exifr from "exifr";
+import { FRAUD_CONFIG } from "./config.js";
+import { db, toSqliteDatetime } from "./db.js";
+
+// Image fraud checks
+// Claim photos are perceptually hashed and compared with every earlier claim,
+// and their EXIF capture time is checked against the bounty's creation
+
+const PHASH_SIZE = 32;
+const PHASH_COSINES = Array.from({ length: 8 }, (_, u) =>
+  Array.from({ length: PHASH_SIZE }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE))
+  )
+);
+
+// 64-bit DCT perceptual hash as 16 hex characters. Resized, recompressed or
+// lightly edited copies of a photo land within a few bits of the original.
+async function perceptualHash(image) {
+  const pixels = await sharp(image)
+    .rotate()
+    .removeAlpha()
+    .greyscale()
+    .resize(PHASH_SIZE, PHASH_SIZE, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  // Lowest 8x8 frequencies of the 2D DCT
+  const coefficients = [];
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < PHASH_SIZE; y++) {
+        for (let x = 0; x < PHASH_SIZE; x++) {
+          sum +=
+            pixels[y * PHASH_SIZE + x] * PHASH_COSINES[u][x] * PHASH_COSINES[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only reflects overall brightness, so leave it out of the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  let hash = 0n;
+  for (const coefficient of coefficients) {
+    hash = (hash << 1n) | (coefficient > median ? 1n : 0n);
+  }
+  return hash.toString(16).padStart(16, "0");
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// Closest earlier claim image on any chain within the duplicate distance,
+// oldest first on ties
+async function findDuplicateClaimImage(chain, claimId, imageHash) {
+  const rows = await db.all(
+    `SELECT chain, claim_id, image_hash FROM claims
+     WHERE image_hash IS NOT NULL AND NOT (chain = ? AND claim_id = ?)
+     ORDER BY claim_created_at ASC, CAST(claim_id AS INTEGER) ASC`,
+    [chain.key, claimId.toString()]
+  );
+
+  let closest = null;
+  for (const row of rows) {
+    const distance = hammingDistance(imageHash, row.image_hash);
+    if (
+      distance <= FRAUD_CONFIG.duplicateDistance &&
+      (!closest || distance < closest.distance)
+    ) {
+      closest = { chain: row.chain, claimId: row.claim_id, distance };
+    }
+  }
+  return closest;
+}
+
+// When the photo was taken according to its EXIF data, or null if it has none
+async function readCaptureTime(image) {
+  const exif = await exifr
+    .parse(image, ["DateTimeOriginal", "CreateDate"])
+    .catch(() => null);
+  const date = exif?.DateTimeOriginal || exif?.CreateDate;
+  return date instanceof Date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+// Hash and date a claim image. Failures are recorded rather than thrown so
+// an unreadable image is left to the model to judge.
+export async function checkClaimImage(chain, claimId, image, bountyCreatedAt) {
+  const result = {
+    imageHash: null,
+    duplicateOf: null,
+    duplicateOfChain: null,
+    duplicateDistance: null,
+    capturedAt: null,
+    flags: [],
+    error: null,
+  };
+
+  try {
+    result.imageHash = await perceptualHash(image);
+    const duplicate = await findDuplicateClaimImage(
+      chain,
+      claimId,
+      result.imageHash
+    );
+    if (duplicate) {
+      result.duplicateOf = duplicate.claimId;
+      result.duplicateOfChain = duplicate.chain;
+      result.duplicateDistance = duplicate.distance;
+      result.flags.push("duplicate_image");
+    }
+
+    const capturedAt = await readCaptureTime(image);
+    if (capturedAt) {
+      result.capturedAt = toSqliteDatetime(capturedAt);
+      const earliest =
+        Number(bountyCreatedAt) * 1000 -
+        FRAUD_CONFIG.captureSlackHours * 60 * 60 * 1000;
+      if (bountyCreatedAt && capturedAt.getTime() < earliest) {
+        result.flags.push("captured_before_bounty");
+      }
+    }
+  } catch (error) {
+    console.error(`Error checking image of claim #${claimId}:`, error);
+    result.error = error.message;
+  }
+
+  return result;
+}
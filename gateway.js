@@ -0,0 +1,328 @@
+import { ethers } from "ethers";
+import crypto from "crypto";
+import dns from "dns/promises";
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import sharp from "sharp";
+import { GATEWAY_CONFIG } from "./config.js";
+import { db } from "./db.js";
+
+// Content gateway
+// NFT metadata and claim images may live on IPFS, Arweave, plain HTTP(S) or
+// inline in data: URIs. Each URI is tried against an ordered list of
+// gateways with a timeout per attempt, and cached so it's fetched once.
+
+// Gateway links found in metadata are turned back into ipfs:// URIs so the
+// configured gateways are used instead of whichever one the minter picked
+const IPFS_GATEWAY_URL_PATTERN = /^https?:\/\/[^/]+\/ipfs\/(.+)$/i;
+
+// The canonical URI, the URLs to try in order, and whether the content can
+// change behind the URI. Only plain HTTP(S) URLs from metadata are untrusted;
+// the configured gateways may be local.
+function resolveContentUri(uri) {
+  const trimmed = String(uri || "").trim();
+  if (!trimmed) {
+    throw new Error("Empty content URI");
+  }
+
+  if (/^ipfs:\/\//i.test(trimmed) || IPFS_GATEWAY_URL_PATTERN.test(trimmed)) {
+    const contentPath = trimmed
+      .replace(/^ipfs:\/\/(ipfs\/)?/i, "")
+      .replace(IPFS_GATEWAY_URL_PATTERN, "$1");
+    return {
+      uri: `ipfs://${contentPath}`,
+      urls: GATEWAY_CONFIG.ipfsGateways.map(
+        (gateway) => `${gateway.replace(/\/+$/, "")}/${contentPath}`
+      ),
+      immutable: true,
+      trusted: true,
+    };
+  }
+  if (/^ar:\/\//i.test(trimmed)) {
+    const contentPath = trimmed.slice("ar://".length);
+    return {
+      uri: trimmed,
+      urls: GATEWAY_CONFIG.arweaveGateways.map(
+        (gateway) => `${gateway.replace(/\/+$/, "")}/${contentPath}`
+      ),
+      immutable: true,
+      trusted: true,
+    };
+  }
+  if (/^data:/i.test(trimmed)) {
+    return {
+      uri: trimmed,
+      urls: [trimmed],
+      immutable: true,
+      inline: true,
+      trusted: true,
+    };
+  }
+  if (/^https?:\/\//i.test(trimmed)) {
+    return { uri: trimmed, urls: [trimmed], immutable: false, trusted: false };
+  }
+  throw new Error(`Unsupported content URI: ${trimmed.slice(0, 80)}`);
+}
+
+// Loopback, private, link-local, CGNAT, unspecified and multicast ranges,
+// which a URL from a claim must not make us request
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+
+  const ipv6 = address.toLowerCase();
+  // IPv4-mapped addresses, which URL parsing turns into hex groups
+  const mappedIpv4 = ipv6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mappedIpv4) {
+    return isPrivateAddress(mappedIpv4[1]);
+  }
+  const mappedHex = ipv6.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map((group) => parseInt(group, 16));
+    return isPrivateAddress(
+      [high >> 8, high & 255, low >> 8, low & 255].join(".")
+    );
+  }
+  return (
+    ipv6 === "::" ||
+    ipv6 === "::1" ||
+    /^f[cd]/.test(ipv6) ||
+    /^fe[89ab]/.test(ipv6) ||
+    ipv6.startsWith("ff")
+  );
+}
+
+// Refuse an untrusted URL whose host resolves to an internal address.
+// Hosts in GATEWAY_ALLOWED_HOSTS are let through (e.g. for local testing).
+async function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (!["http:", "https:"].includes(protocol)) {
+    throw new Error(`unsupported protocol ${protocol}`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (GATEWAY_CONFIG.allowedHosts.includes(host.toLowerCase())) {
+    return;
+  }
+
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(
+      `${host} ${net.isIP(host) ? "is" : "resolves to"} a private address`
+    );
+  }
+}
+
+// Untrusted URLs have every redirect checked like the URL itself
+async function fetchFromGateway(url, { trusted = true } = {}) {
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    if (!trusted) {
+      await assertPublicUrl(url);
+    }
+    response = await fetch(url, {
+      signal: AbortSignal.timeout(GATEWAY_CONFIG.timeoutMs),
+      redirect: trusted ? "follow" : "manual",
+    });
+
+    const location = response.headers.get("location");
+    if (trusted || response.status < 300 || response.status >= 400 || !location) {
+      break;
+    }
+    if (redirects >= GATEWAY_CONFIG.maxRedirects) {
+      throw new Error(`more than ${GATEWAY_CONFIG.maxRedirects} redirects`);
+    }
+    url = new URL(location, url).toString();
+  }
+  if (!response.ok) {
+    throw new Error(`returned ${response.status}`);
+  }
+
+  const tooLarge = `content is larger than ${GATEWAY_CONFIG.maxContentBytes} bytes`;
+  if (Number(response.headers.get("content-length")) > GATEWAY_CONFIG.maxContentBytes) {
+    throw new Error(tooLarge);
+  }
+  const body = Buffer.from(await response.arrayBuffer());
+  if (body.length > GATEWAY_CONFIG.maxContentBytes) {
+    throw new Error(tooLarge);
+  }
+
+  return {
+    body,
+    contentType: response.headers.get("content-type")?.split(";")[0] || null,
+  };
+}
+
+async function readCachedContent(resolved) {
+  const row = await db.get("SELECT * FROM content_cache WHERE uri = ?", [
+    resolved.uri,
+  ]);
+  if (!row) {
+    return null;
+  }
+  if (
+    !resolved.immutable &&
+    Date.now() - new Date(`${row.fetched_at}Z`).getTime() >
+      GATEWAY_CONFIG.httpCacheSeconds * 1000
+  ) {
+    return null;
+  }
+
+  try {
+    const body = row.body
+      ? Buffer.from(row.body)
+      : await fs.readFile(path.join(GATEWAY_CONFIG.cacheDir, row.sha256));
+    return {
+      uri: row.uri,
+      body,
+      contentType: row.content_type,
+      sha256: row.sha256,
+      source: row.source,
+    };
+  } catch (error) {
+    // The cache file was removed; fetch the content again
+    return null;
+  }
+}
+
+async function writeCachedContent(content) {
+  const inline = content.body.length <= GATEWAY_CONFIG.inlineMaxBytes;
+  if (!inline) {
+    await fs.mkdir(GATEWAY_CONFIG.cacheDir, { recursive: true });
+    await fs.writeFile(
+      path.join(GATEWAY_CONFIG.cacheDir, content.sha256),
+      content.body
+    );
+  }
+
+  await db.run(
+    `INSERT INTO content_cache (uri, sha256, content_type, size, body, source)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(uri) DO UPDATE SET
+       sha256 = excluded.sha256, content_type = excluded.content_type,
+       size = excluded.size, body = excluded.body, source = excluded.source,
+       fetched_at = CURRENT_TIMESTAMP`,
+    [
+      content.uri,
+      content.sha256,
+      content.contentType,
+      content.body.length,
+      inline ? content.body : null,
+      content.source,
+    ]
+  );
+}
+
+// In-flight fetches by URI, so concurrent requests share one download
+const contentRequests = new Map();
+
+// Fetch content from the cache or the first gateway that answers in time.
+// Returns { uri, body, contentType, sha256, source }.
+export async function fetchContent(uri) {
+  const resolved = resolveContentUri(uri);
+  if (contentRequests.has(resolved.uri)) {
+    return contentRequests.get(resolved.uri);
+  }
+
+  const request = (async () => {
+    if (!resolved.inline) {
+      const cached = await readCachedContent(resolved);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const failures = [];
+    for (const url of resolved.urls) {
+      try {
+        const { body, contentType } = await fetchFromGateway(url, {
+          trusted: resolved.trusted,
+        });
+        const content = {
+          uri: resolved.uri,
+          body,
+          contentType,
+          sha256: crypto.createHash("sha256").update(body).digest("hex"),
+          source: resolved.inline ? "data" : url,
+        };
+        if (!resolved.inline) {
+          await writeCachedContent(content);
+        }
+        return content;
+      } catch (error) {
+        failures.push(
+          `${resolved.inline ? "data URI" : url}: ${error.message}`
+        );
+      }
+    }
+    throw new Error(
+      `Could not fetch ${resolved.inline ? "data URI" : resolved.uri} (${failures.join("; ")})`
+    );
+  })();
+
+  contentRequests.set(resolved.uri, request);
+  try {
+    return await request;
+  } finally {
+    contentRequests.delete(resolved.uri);
+  }
+}
+
+export async function fetchJsonContent(uri) {
+  const content = await fetchContent(uri);
+  try {
+    return JSON.parse(content.body.toString("utf8"));
+  } catch (error) {
+    // Don't keep serving a gateway error page that came back as 200
+    await db.run("DELETE FROM content_cache WHERE uri = ?", [content.uri]);
+    throw new Error(`Content at ${content.uri.slice(0, 80)} is not JSON`);
+  }
+}
+
+// Inline an image for a model request, so the model judges exactly the bytes
+// we checked and never depends on a gateway it may not reach
+export async function imageDataUrl(content) {
+  let contentType = content.contentType;
+  if (!contentType?.startsWith("image/")) {
+    const { format } = await sharp(content.body).metadata();
+    contentType = `image/${format === "jpg" ? "jpeg" : format}`;
+  }
+  return `data:${contentType};base64,${content.body.toString("base64")}`;
+}
+
+// Token URIs of claim NFTs don't change, so they're kept on the indexed claim
+export async function getClaimTokenURI(chain, claimId) {
+  const row = await db.get(
+    "SELECT token_uri FROM chain_claims WHERE chain = ? AND claim_id = ?",
+    [chain.key, claimId.toString()]
+  );
+  if (row?.token_uri) {
+    return row.token_uri;
+  }
+
+  // Create NFT contract instance
+  const nftContract = new ethers.Contract(
+    chain.config.nftContractAddress,
+    ["function tokenURI(uint256 tokenId) view returns (string)"],
+    chain.provider
+  );
+  const tokenURI = await nftContract.tokenURI(claimId);
+  await db.run(
+    "UPDATE chain_claims SET token_uri = ? WHERE chain = ? AND claim_id = ?",
+    [tokenURI, chain.key, claimId.toString()]
+  );
+  return tokenURI;
+}
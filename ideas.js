@@ -0,0 +1,434 @@
+import {
+  BOUNTY_DIFFICULTIES,
+  BOUNTY_IDEA_FORMAT,
+  OPENROUTER_API_KEY,
+  SIMILARITY_CONFIG,
+} from "./config.js";
+import { db } from "./db.js";
+import { extractJsonObject } from "./verification.js";
+import { bountyModerationText, moderateContent } from "./moderation.js";
+
+// Bounty idea metadata and similarity
+
+// Check a generated idea against the expected shape. Returns { idea } with
+// normalized fields or { error }.
+export function validateBountyIdea(raw) {
+  if (!raw || typeof raw !== "object") {
+    return { error: "idea is not an object" };
+  }
+
+  const { title, description, difficulty, tags, requiredProps, safetyNotes } =
+    raw;
+  if (typeof title !== "string" || !title.trim() || title.length > 100) {
+    return { error: "title must be a string of 1-100 characters" };
+  }
+  if (
+    typeof description !== "string" ||
+    !description.trim() ||
+    description.length > 500
+  ) {
+    return { error: "description must be a string of 1-500 characters" };
+  }
+  if (!BOUNTY_DIFFICULTIES.includes(difficulty)) {
+    return {
+      error: `difficulty must be one of: ${BOUNTY_DIFFICULTIES.join(", ")}`,
+    };
+  }
+  for (const [field, value] of [
+    ["tags", tags],
+    ["requiredProps", requiredProps],
+  ]) {
+    if (
+      !Array.isArray(value) ||
+      value.length > 10 ||
+      !value.every((item) => typeof item === "string" && item.trim())
+    ) {
+      return { error: `${field} must be an array of up to 10 strings` };
+    }
+  }
+  if (typeof safetyNotes !== "string") {
+    return { error: "safetyNotes must be a string" };
+  }
+
+  return {
+    idea: {
+      title: title.trim(),
+      description: description.trim(),
+      difficulty,
+      tags: [...new Set(tags.map((tag) => tag.trim().toLowerCase()))],
+      requiredProps: requiredProps.map((prop) => prop.trim()),
+      safetyNotes: safetyNotes.trim(),
+    },
+  };
+}
+
+const SIMILARITY_STOPWORDS = new Set(
+  "a an and are as at be by for from in into is it its of on or photo picture share take that the this to with you your yourself".split(
+    " "
+  )
+);
+
+// Offline similarity vector: stemmed words and word pairs with their counts
+function localSimilarityVector(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !SIMILARITY_STOPWORDS.has(word))
+    .map((word) => word.replace(/(ing|ed|es|s)$/, "") || word);
+
+  const vector = {};
+  words.forEach((word, i) => {
+    vector[word] = (vector[word] || 0) + 1;
+    if (i > 0) {
+      const pair = `${words[i - 1]} ${word}`;
+      vector[pair] = (vector[pair] || 0) + 0.5;
+    }
+  });
+  return vector;
+}
+
+function getSimilarityProviderKey() {
+  return SIMILARITY_CONFIG.provider === "local"
+    ? "local"
+    : `${SIMILARITY_CONFIG.provider}:${SIMILARITY_CONFIG.model}`;
+}
+
+async function computeSimilarityVector(text) {
+  if (SIMILARITY_CONFIG.provider === "local") {
+    return localSimilarityVector(text);
+  }
+  if (SIMILARITY_CONFIG.provider !== "openai-compatible") {
+    throw new Error(
+      `Unknown similarity provider "${SIMILARITY_CONFIG.provider}"`
+    );
+  }
+
+  const response = await fetch(
+    `${SIMILARITY_CONFIG.baseUrl.replace(/\/$/, "")}/embeddings`,
+    {
+      method: "POST",
+      headers: {
+        ...(SIMILARITY_CONFIG.apiKey
+          ? { Authorization: `Bearer ${SIMILARITY_CONFIG.apiKey}` }
+          : {}),
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ model: SIMILARITY_CONFIG.model, input: text }),
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Embedding request failed with status ${response.status}`);
+  }
+  const data = await response.json();
+  return data.data[0].embedding;
+}
+
+// Cosine similarity of two dense (array) or two sparse (object) vectors
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  if (Array.isArray(a)) {
+    a.forEach((value, i) => {
+      dot += value * (b[i] || 0);
+      normA += value * value;
+    });
+    b.forEach((value) => {
+      normB += value * value;
+    });
+  } else {
+    for (const [term, value] of Object.entries(a)) {
+      dot += value * (b[term] || 0);
+      normA += value * value;
+    }
+    for (const value of Object.values(b)) {
+      normB += value * value;
+    }
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export function bountySimilarityText(bounty) {
+  return `${bounty.title}. ${bounty.description}`;
+}
+
+export async function storeBountyVector(
+  bountyId,
+  vector,
+  provider = getSimilarityProviderKey()
+) {
+  await db.run(
+    `INSERT OR REPLACE INTO bounty_embeddings (bounty_id, provider, vector)
+     VALUES (?, ?, ?)`,
+    [bountyId, provider, JSON.stringify(vector)]
+  );
+}
+
+// Backfills of bounties stored without a vector, by provider key
+const vectorBackfills = new Map();
+
+// Give every bounty without a vector for the provider one. Runs once per
+// provider (again only if it failed); bounties stored later get their vector
+// when they are inserted or edited.
+function backfillBountyVectors(provider) {
+  if (!vectorBackfills.has(provider)) {
+    const backfill = (async () => {
+      const missing = await db.all(
+        `SELECT id, title, description FROM bounties
+         WHERE NOT EXISTS (
+           SELECT 1 FROM bounty_embeddings
+           WHERE bounty_embeddings.bounty_id = bounties.id
+             AND bounty_embeddings.provider = ?
+         )`,
+        [provider]
+      );
+      for (const bounty of missing) {
+        const text = bountySimilarityText(bounty);
+        await storeBountyVector(
+          bounty.id,
+          provider === "local"
+            ? localSimilarityVector(text)
+            : await computeSimilarityVector(text),
+          provider
+        );
+      }
+    })();
+    vectorBackfills.set(provider, backfill);
+    backfill.catch(() => vectorBackfills.delete(provider));
+  }
+  return vectorBackfills.get(provider);
+}
+
+// The existing bounty most similar to `vector`, or null if there are none.
+// `provider` is the key of the provider that computed the vector.
+async function findMostSimilarBounty(
+  vector,
+  { excludeId = null, provider = getSimilarityProviderKey() } = {}
+) {
+  await backfillBountyVectors(provider);
+
+  const rows = await db.all(
+    `SELECT bounty_embeddings.bounty_id, bounty_embeddings.vector, bounties.title
+     FROM bounty_embeddings
+     JOIN bounties ON bounties.id = bounty_embeddings.bounty_id
+     WHERE bounty_embeddings.provider = ?`,
+    [provider]
+  );
+
+  let best = null;
+  for (const row of rows) {
+    if (row.bounty_id === excludeId) {
+      continue;
+    }
+    const similarity = cosineSimilarity(vector, JSON.parse(row.vector));
+    if (!best || similarity > best.similarity) {
+      best = { bountyId: row.bounty_id, title: row.title, similarity };
+    }
+  }
+  return best;
+}
+
+// Vector of a text and its closest existing bounty. When the embeddings
+// provider fails, word overlap is used instead of failing generation.
+export async function compareWithBounties(text, { excludeId = null } = {}) {
+  const provider = getSimilarityProviderKey();
+  let threshold = SIMILARITY_CONFIG.threshold;
+  if (provider !== "local") {
+    try {
+      const vector = await computeSimilarityVector(text);
+      const similar = await findMostSimilarBounty(vector, { excludeId, provider });
+      return { vector, provider, similar, threshold };
+    } catch (error) {
+      console.error(
+        "Error comparing with embeddings, using word overlap instead:",
+        error.message
+      );
+      threshold = SIMILARITY_CONFIG.fallbackThreshold;
+    }
+  }
+
+  const vector = localSimilarityVector(text);
+  const similar = await findMostSimilarBounty(vector, {
+    excludeId,
+    provider: "local",
+  });
+  return { vector, provider: "local", similar, threshold };
+}
+
+// Attach similarity details to a validated idea; `duplicate` is set when
+// it is too close to an existing bounty
+async function checkIdeaSimilarity(idea) {
+  const { vector, provider, similar, threshold } = await compareWithBounties(
+    bountySimilarityText(idea)
+  );
+
+  return {
+    ...idea,
+    vector,
+    vectorProvider: provider,
+    similarity: similar ? similar.similarity : 0,
+    similarTo: similar ? similar.bountyId : null,
+    duplicate: !!similar && similar.similarity >= threshold,
+    similarTitle: similar?.title,
+  };
+}
+
+async function requestBountyIdea(campaign, avoidTitles) {
+  const systemPrompt = campaign.theme_prompt.includes("{{recentTitles}}")
+    ? campaign.theme_prompt.replaceAll("{{recentTitles}}", avoidTitles)
+    : `${campaign.theme_prompt}\nAVOID generating anything similar to these recent bounties:\n${avoidTitles}`;
+
+  const response = await fetch(
+    "https://openrouter.ai/api/v1/chat/completions",
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
+        "HTTP-Referer": "https://poidh.xyz",
+        "X-Title": "POIDH",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model: "openai/gpt-4o-mini",
+        messages: [
+          {
+            role: "system",
+            content: `${systemPrompt}\n\n${BOUNTY_IDEA_FORMAT}`,
+          },
+          {
+            role: "user",
+            content: "Generate a unique POIDH bounty",
+          },
+        ],
+      }),
+    }
+  );
+
+  const data = await response.json();
+  return extractJsonObject(data.choices[0].message.content, "Bounty idea");
+}
+
+// Generate a validated idea that isn't a near-duplicate of an existing
+// bounty, regenerating up to maxAttempts times before using a fallback
+export async function generateBountyIdea(campaign) {
+  // Get recent bounty titles (last 100)
+  const recentBounties = await db.all(
+    "SELECT title FROM bounties ORDER BY created_at DESC LIMIT 100"
+  );
+  const avoidTitles = recentBounties.map((b) => b.title);
+
+  for (let attempt = 1; attempt <= SIMILARITY_CONFIG.maxAttempts; attempt++) {
+    let raw;
+    try {
+      raw = await requestBountyIdea(campaign, avoidTitles.join("\n"));
+    } catch (error) {
+      // The model is unreachable or unusable; retrying won't help
+      console.error("Error generating bounty:", error);
+      break;
+    }
+
+    const { idea, error } = validateBountyIdea(raw);
+    if (error) {
+      console.warn(`Generated bounty idea rejected (${error}), regenerating`);
+      continue;
+    }
+
+    const checked = await checkIdeaSimilarity(idea);
+    if (checked.duplicate) {
+      console.warn(
+        `Generated bounty "${idea.title}" is ${Math.round(
+          checked.similarity * 100
+        )}% similar to "${checked.similarTitle}", regenerating`
+      );
+      avoidTitles.unshift(idea.title);
+      continue;
+    }
+
+    // Unsafe ideas are regenerated; if the moderation provider is down the
+    // idea is screened again when it is published
+    try {
+      const moderation = await moderateContent("bounty", {
+        text: bountyModerationText(idea),
+      });
+      if (moderation.flagged) {
+        console.warn(
+          `Generated bounty "${idea.title}" was flagged by moderation (${moderation.reason}), regenerating`
+        );
+        avoidTitles.unshift(idea.title);
+        continue;
+      }
+      checked.moderationStatus = "passed";
+    } catch (error) {
+      console.error("Error moderating generated bounty:", error);
+    }
+    return checked;
+  }
+
+  return pickFallbackIdea(campaign);
+}
+
+// Hand out the campaign's fallback ideas without repeats until all are
+// used, preferring ones that aren't near-duplicates of existing bounties
+async function pickFallbackIdea(campaign) {
+  const fallbackIdeas = JSON.parse(campaign.fallback_ideas);
+  if (!fallbackIdeas.length) {
+    throw new Error(`Campaign #${campaign.id} has no fallback ideas`);
+  }
+
+  // Re-read: another bounty may have used one since the campaign was loaded
+  const { used_fallbacks } = await db.get(
+    "SELECT used_fallbacks FROM campaigns WHERE id = ?",
+    [campaign.id]
+  );
+  const usedIndices = new Set(JSON.parse(used_fallbacks));
+
+  // Get available indices (ones we haven't used yet)
+  let availableIndices = Array.from(Array(fallbackIdeas.length).keys()).filter(
+    (i) => !usedIndices.has(i)
+  );
+
+  // If we've used all bounties, reset the tracking
+  if (availableIndices.length === 0) {
+    usedIndices.clear();
+    availableIndices = Array.from(Array(fallbackIdeas.length).keys());
+  }
+
+  // Try them in random order; if all are near-duplicates take the least
+  // similar one
+  availableIndices.sort(() => Math.random() - 0.5);
+  let chosen = null;
+  for (const index of availableIndices) {
+    const { idea } = validateBountyIdea({
+      difficulty: "medium",
+      tags: [],
+      requiredProps: [],
+      safetyNotes: "",
+      ...fallbackIdeas[index],
+    });
+    if (!idea) {
+      continue;
+    }
+
+    const checked = await checkIdeaSimilarity(idea);
+    if (!chosen || checked.similarity < chosen.idea.similarity) {
+      chosen = { index, idea: checked };
+    }
+    if (!checked.duplicate) {
+      break;
+    }
+  }
+  if (!chosen) {
+    throw new Error(`Campaign #${campaign.id} has no valid fallback ideas`);
+  }
+
+  usedIndices.add(chosen.index);
+  await db.run(
+    "UPDATE campaigns SET used_fallbacks = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [JSON.stringify([...usedIndices]), campaign.id]
+  );
+
+  return chosen.idea;
+}
@@ -0,0 +1,210 @@
+import { INDEXER_CONFIG, LISTENER_CONFIG } from "./config.js";
+import { db, getSyncCursor, setSyncCursor } from "./db.js";
+import { queryFilterInChunks } from "./chains.js";
+import { queuePayout } from "./payouts.js";
+
+// Event indexer
+// Apply one contract event to the chain_* tables. The raw row is marked
+// applied only after its derived writes, which are all idempotent, so
+// replaying a chunk after a failure finishes what was left undone.
+export async function indexContractEvent(chain, event) {
+  const args = event.args.toObject();
+  const bountyId =
+    event.eventName === "BountyCreated" ? args.id : args.bountyId;
+  const claimId = event.eventName === "ClaimCreated" ? args.id : args.claimId;
+
+  const key = [chain.key, event.transactionHash, event.index];
+  await db.run(
+    `INSERT OR IGNORE INTO chain_events
+       (chain, tx_hash, log_index, block_number, event_name, bounty_id, claim_id, account, args, applied)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+    [
+      chain.key,
+      event.transactionHash,
+      event.index,
+      event.blockNumber,
+      event.eventName,
+      bountyId?.toString() ?? null,
+      claimId?.toString() ?? null,
+      args.issuer ?? args.participant ?? args.voter ?? args.claimIssuer ?? null,
+      JSON.stringify(args, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      ),
+    ]
+  );
+  const { applied } = await db.get(
+    "SELECT applied FROM chain_events WHERE chain = ? AND tx_hash = ? AND log_index = ?",
+    key
+  );
+  if (applied) {
+    return;
+  }
+
+  switch (event.eventName) {
+    case "BountyCreated":
+      await db.run(
+        `INSERT OR IGNORE INTO chain_bounties
+           (chain, bounty_id, issuer, name, description, amount, created_at, block_number, tx_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chain.key,
+          args.id.toString(),
+          args.issuer,
+          args.name,
+          args.description,
+          args.amount.toString(),
+          Number(args.createdAt),
+          event.blockNumber,
+          event.transactionHash,
+        ]
+      );
+      break;
+    case "ClaimCreated":
+      await db.run(
+        `INSERT OR IGNORE INTO chain_claims
+           (chain, claim_id, bounty_id, issuer, bounty_issuer, name, description, created_at, block_number, tx_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chain.key,
+          args.id.toString(),
+          args.bountyId.toString(),
+          args.issuer,
+          args.bountyIssuer,
+          args.name,
+          args.description,
+          Number(args.createdAt),
+          event.blockNumber,
+          event.transactionHash,
+        ]
+      );
+      break;
+    case "ClaimAccepted": {
+      // Win streaks count the day a claim was accepted, not submitted
+      const block = await chain.provider.getBlock(event.blockNumber);
+      await db.run(
+        `UPDATE chain_claims SET accepted = 1, accept_tx_hash = ?, fee = ?, accepted_at = ?
+         WHERE chain = ? AND claim_id = ?`,
+        [
+          event.transactionHash,
+          args.fee.toString(),
+          block.timestamp,
+          chain.key,
+          args.claimId.toString(),
+        ]
+      );
+      await db.run(
+        `UPDATE chain_bounties SET
+           status = 'accepted', winning_claim_id = ?, winner = ?, accept_tx_hash = ?
+         WHERE chain = ? AND bounty_id = ?`,
+        [
+          args.claimId.toString(),
+          args.claimIssuer,
+          event.transactionHash,
+          chain.key,
+          args.bountyId.toString(),
+        ]
+      );
+      await queuePayout(chain, event, args);
+      break;
+    }
+    case "BountyCancelled":
+      await db.run(
+        "UPDATE chain_bounties SET status = 'cancelled', cancel_tx_hash = ? WHERE chain = ? AND bounty_id = ?",
+        [event.transactionHash, chain.key, args.bountyId.toString()]
+      );
+      break;
+    case "BountyJoined":
+    case "WithdrawFromOpenBounty": {
+      // Recomputed from every indexed deposit and withdrawal rather than
+      // adjusted, so applying the event twice can't count it twice
+      const deposits = await db.all(
+        `SELECT event_name, args FROM chain_events
+         WHERE chain = ? AND bounty_id = ?
+           AND event_name IN ('BountyCreated', 'BountyJoined', 'WithdrawFromOpenBounty')`,
+        [chain.key, args.bountyId.toString()]
+      );
+      const amount = deposits.reduce((total, deposit) => {
+        const depositAmount = BigInt(JSON.parse(deposit.args).amount);
+        return deposit.event_name === "WithdrawFromOpenBounty"
+          ? total - depositAmount
+          : total + depositAmount;
+      }, 0n);
+      await db.run(
+        "UPDATE chain_bounties SET amount = ? WHERE chain = ? AND bounty_id = ?",
+        [amount.toString(), chain.key, args.bountyId.toString()]
+      );
+      break;
+    }
+    default:
+      // ClaimSubmittedForVote, VoteClaim, ResetVotingPeriod: raw log only
+      break;
+  }
+
+  await db.run(
+    "UPDATE chain_events SET applied = 1 WHERE chain = ? AND tx_hash = ? AND log_index = ?",
+    key
+  );
+}
+
+const EVENT_INDEXER_CURSOR = "event_indexer";
+
+async function pollContractEvents(chain) {
+  if (chain.isIndexing) {
+    return;
+  }
+  chain.isIndexing = true;
+
+  try {
+    const latestBlock = await chain.provider.getBlockNumber();
+    const safeBlock = latestBlock - LISTENER_CONFIG.confirmations;
+
+    if (safeBlock > chain.lastIndexedBlock) {
+      await queryFilterInChunks(
+        chain,
+        "*",
+        chain.lastIndexedBlock + 1,
+        safeBlock,
+        async (events, chunkEnd) => {
+          for (const event of events) {
+            // Logs the ABI can't decode come back without a name
+            if (event.eventName) {
+              await indexContractEvent(chain, event);
+            }
+          }
+
+          chain.lastIndexedBlock = chunkEnd;
+          await setSyncCursor(chain, EVENT_INDEXER_CURSOR, chunkEnd);
+        }
+      );
+    }
+  } catch (error) {
+    console.error(
+      `Error indexing contract events on ${chain.config.name}:`,
+      error
+    );
+  } finally {
+    chain.isIndexing = false;
+  }
+}
+
+export async function setupEventIndexer(chain) {
+  console.log(`Setting up event indexer on ${chain.config.name}...`);
+  const storedBlock = await getSyncCursor(chain, EVENT_INDEXER_CURSOR);
+
+  if (storedBlock !== null) {
+    chain.lastIndexedBlock = storedBlock;
+    console.log(`Resuming event indexer from block ${storedBlock}`);
+  } else if (chain.config.indexerStartBlock !== null) {
+    chain.lastIndexedBlock = chain.config.indexerStartBlock - 1;
+  } else {
+    const latestBlock = await chain.provider.getBlockNumber();
+    chain.lastIndexedBlock = Math.max(
+      latestBlock - LISTENER_CONFIG.maxBackfillBlocks,
+      -1
+    );
+  }
+
+  // Catch up in the background; the API serves whatever is indexed so far
+  pollContractEvents(chain);
+  setInterval(() => pollContractEvents(chain), INDEXER_CONFIG.pollInterval);
+}
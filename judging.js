@@ -0,0 +1,460 @@
+import { ethers } from "ethers";
+import { EXPIRY_CONFIG } from "./config.js";
+import { db } from "./db.js";
+import { formatNativeAmount } from "./chains.js";
+import { parseReceiptEvents, sendContractTransaction } from "./tx.js";
+import { getBountySettings } from "./verification.js";
+import {
+  recordClaimAccepted,
+  recordClaimDecision,
+  recordClaimRetry,
+} from "./claims.js";
+
+// Judging: picking winners, settling open bounty votes and cancelling
+// bounties nobody won
+
+// Pay out the winning claim: solo bounties accept it directly, open bounties
+// submit it to a participant vote that resolveOpenBountyVotes() settles later.
+// Returns the decision the claim should be recorded with.
+export async function settleWinningClaim(chain, bountyId, claimId) {
+  const { bountyType } = await getBountySettings(chain, bountyId);
+
+  if (bountyType === "open") {
+    const tx = await sendContractTransaction(chain, "submitClaimForVote", [
+      bountyId,
+      claimId,
+    ]);
+
+    await recordVoteSubmission(chain, bountyId, claimId, tx.hash);
+    console.log(`Claim #${claimId} submitted for vote on bounty #${bountyId}`);
+    return { decision: "submitted_for_vote", transactionHash: tx.hash };
+  }
+
+  const tx = await sendContractTransaction(chain, "acceptClaim", [
+    bountyId,
+    claimId,
+  ]);
+  await recordClaimAccepted(chain, claimId, tx.hash);
+  console.log(`Claim #${claimId} accepted successfully`);
+  return { decision: "approved", transactionHash: tx.hash };
+}
+
+// Track a claim submitted for a participant vote until
+// resolveOpenBountyVotes() settles it
+export async function recordVoteSubmission(chain, bountyId, claimId, txHash) {
+  const tracker = await chain.contract.bountyVotingTracker(bountyId);
+  await db.run(
+    `INSERT INTO bounty_votes (chain, bounty_id, claim_id, submit_tx_hash, deadline)
+     VALUES (?, ?, ?, ?, datetime(?, 'unixepoch'))`,
+    [
+      chain.key,
+      bountyId.toString(),
+      claimId.toString(),
+      txHash,
+      Number(tracker.deadline),
+    ]
+  );
+}
+
+// Close judging for a bounty; shortlisted claims after the deadline are late
+async function markBountyJudged(bountyRow) {
+  await db.run(
+    "UPDATE claims SET decision = 'late', updated_at = CURRENT_TIMESTAMP WHERE chain = ? AND bounty_id = ? AND decision = 'shortlisted' AND claim_created_at > ?",
+    [bountyRow.chain, bountyRow.contract_bounty_id, bountyRow.deadline]
+  );
+  await db.run(
+    "UPDATE bounties SET judged_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [bountyRow.id]
+  );
+}
+
+// Accept the highest-scoring shortlisted claim of a "best-score" bounty,
+// earliest submission winning ties
+async function judgeBounty(chain, bountyRow) {
+  const bountyId = bountyRow.contract_bounty_id;
+
+  const bounty = await chain.contract.bounties(bountyId);
+  if (bounty.claimer !== ethers.ZeroAddress) {
+    console.log(`Bounty #${bountyId} was already settled on-chain`);
+    await db.run(
+      "UPDATE claims SET decision = 'outscored', updated_at = CURRENT_TIMESTAMP WHERE chain = ? AND bounty_id = ? AND decision = 'shortlisted'",
+      [chain.key, bountyId]
+    );
+    await markBountyJudged(bountyRow);
+    return null;
+  }
+
+  // Reviewers get the final say on borderline claims before a winner is picked
+  const { pending } = await db.get(
+    `SELECT COUNT(*) AS pending FROM claims
+     WHERE chain = ? AND bounty_id = ? AND decision = 'pending_review' AND claim_created_at <= ?`,
+    [chain.key, bountyId, bountyRow.deadline]
+  );
+  if (pending > 0) {
+    console.log(
+      `Bounty #${bountyId} has ${pending} claim(s) awaiting review, postponing judging`
+    );
+    return null;
+  }
+
+  const candidates = await db.all(
+    `SELECT * FROM claims
+     WHERE chain = ? AND bounty_id = ? AND decision = 'shortlisted' AND claim_created_at <= ?
+     ORDER BY score DESC, claim_created_at ASC, CAST(claim_id AS INTEGER) ASC`,
+    [chain.key, bountyId, bountyRow.deadline]
+  );
+
+  if (!candidates.length) {
+    console.log(`Bounty #${bountyId} closed without a passing claim`);
+    await markBountyJudged(bountyRow);
+    return null;
+  }
+
+  const [winner, ...others] = candidates;
+  console.log(
+    `Bounty #${bountyId} judged: claim #${winner.claim_id} wins with score ${winner.score} out of ${candidates.length} shortlisted`
+  );
+
+  const result = await settleWinningClaim(chain, bountyId, winner.claim_id);
+  await recordClaimDecision(chain, winner.claim_id, result.decision);
+  // Open bounties keep the runners-up shortlisted in case the vote fails
+  if (result.decision === "approved") {
+    for (const claim of others) {
+      await recordClaimDecision(chain, claim.claim_id, "outscored");
+    }
+  }
+  await markBountyJudged(bountyRow);
+
+  return winner.claim_id;
+}
+
+// Judge every "best-score" bounty on the chain whose deadline has passed,
+// once the claim listener has processed all blocks up to that deadline
+export async function judgeExpiredBounties(chain) {
+  if (
+    chain.isJudging ||
+    !chain.contractReady ||
+    chain.lastProcessedBlock === undefined
+  ) {
+    return;
+  }
+  chain.isJudging = true;
+
+  try {
+    const dueBounties = await db.all(
+      `SELECT * FROM bounties
+       WHERE chain = ?
+         AND judging_strategy = 'best-score'
+         AND contract_bounty_id IS NOT NULL
+         AND judged_at IS NULL
+         AND deadline <= CURRENT_TIMESTAMP
+       ORDER BY deadline ASC`,
+      [chain.key]
+    );
+    if (!dueBounties.length) {
+      return;
+    }
+
+    const cursorBlock = await chain.provider.getBlock(chain.lastProcessedBlock);
+    for (const bountyRow of dueBounties) {
+      const deadline = new Date(`${bountyRow.deadline}Z`).getTime();
+      if (cursorBlock.timestamp * 1000 < deadline) {
+        console.log(
+          `Waiting for claim listener to reach the deadline of bounty #${bountyRow.contract_bounty_id}`
+        );
+        continue;
+      }
+
+      try {
+        await judgeBounty(chain, bountyRow);
+      } catch (error) {
+        console.error(
+          `Error judging bounty #${bountyRow.contract_bounty_id}:`,
+          error
+        );
+      }
+    }
+  } catch (error) {
+    console.error(`Error judging bounties on ${chain.config.name}:`, error);
+  } finally {
+    chain.isJudging = false;
+  }
+}
+
+// Open bounty helpers
+export async function getActiveVote(chain, bountyId) {
+  return db.get(
+    "SELECT * FROM bounty_votes WHERE chain = ? AND bounty_id = ? AND outcome IS NULL ORDER BY id DESC LIMIT 1",
+    [chain.key, bountyId.toString()]
+  );
+}
+
+// Mirror getParticipants() into the DB, summing repeat contributions
+async function syncOpenBountyParticipants(chain, bountyId) {
+  const [addresses, amounts] = await chain.contract.getParticipants(bountyId);
+
+  const totals = new Map();
+  addresses.forEach((address, i) => {
+    if (address === ethers.ZeroAddress) {
+      return;
+    }
+    totals.set(address, (totals.get(address) || 0n) + amounts[i]);
+  });
+
+  await db.run(
+    "DELETE FROM bounty_participants WHERE chain = ? AND bounty_id = ?",
+    [chain.key, bountyId.toString()]
+  );
+  for (const [address, amount] of totals) {
+    await db.run(
+      "INSERT INTO bounty_participants (chain, bounty_id, participant, amount) VALUES (?, ?, ?, ?)",
+      [chain.key, bountyId.toString(), address, amount.toString()]
+    );
+  }
+
+  return [...totals].map(([participant, amount]) => ({ participant, amount }));
+}
+
+// Resolve open bounty votes whose voting period is over. A passed vote pays
+// the claim; a failed one puts the next best shortlisted claim up for vote.
+export async function resolveOpenBountyVotes(chain) {
+  if (chain.isResolvingVotes || !chain.contractReady) {
+    return;
+  }
+  chain.isResolvingVotes = true;
+
+  try {
+    const openBounties = await db.all(
+      "SELECT contract_bounty_id FROM bounties WHERE chain = ? AND bounty_type = 'open' AND contract_bounty_id IS NOT NULL AND judged_at IS NULL",
+      [chain.key]
+    );
+    for (const { contract_bounty_id } of openBounties) {
+      try {
+        await syncOpenBountyParticipants(chain, contract_bounty_id);
+      } catch (error) {
+        console.error(
+          `Error syncing participants for bounty #${contract_bounty_id}:`,
+          error
+        );
+      }
+    }
+
+    const votes = await db.all(
+      "SELECT * FROM bounty_votes WHERE chain = ? AND outcome IS NULL ORDER BY id ASC",
+      [chain.key]
+    );
+    if (!votes.length) {
+      return;
+    }
+
+    const latestBlock = await chain.provider.getBlock("latest");
+    for (const vote of votes) {
+      try {
+        const tracker = await chain.contract.bountyVotingTracker(vote.bounty_id);
+        if (latestBlock.timestamp < Number(tracker.deadline)) {
+          // Running tally for /open-bounties/:id
+          await db.run(
+            "UPDATE bounty_votes SET yes_votes = ?, no_votes = ? WHERE id = ?",
+            [tracker.yes.toString(), tracker.no.toString(), vote.id]
+          );
+          continue;
+        }
+
+        const tx = await sendContractTransaction(chain, "resolveVote", [
+          vote.bounty_id,
+        ]);
+        const accepted = parseReceiptEvents(tx.receipt).some(
+          (event) => event.name === "ClaimAccepted"
+        );
+
+        await db.run(
+          `UPDATE bounty_votes SET
+             yes_votes = ?, no_votes = ?, outcome = ?, resolve_tx_hash = ?,
+             resolved_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [
+            tracker.yes.toString(),
+            tracker.no.toString(),
+            accepted ? "accepted" : "rejected",
+            tx.hash,
+            vote.id,
+          ]
+        );
+
+        if (accepted) {
+          console.log(
+            `Vote passed, claim #${vote.claim_id} accepted for bounty #${vote.bounty_id}`
+          );
+          await recordClaimDecision(chain, vote.claim_id, "approved");
+          await recordClaimAccepted(chain, vote.claim_id, tx.hash);
+          await db.run(
+            "UPDATE claims SET decision = 'outscored', updated_at = CURRENT_TIMESTAMP WHERE chain = ? AND bounty_id = ? AND decision = 'shortlisted'",
+            [chain.key, vote.bounty_id]
+          );
+          continue;
+        }
+
+        console.log(
+          `Vote failed for claim #${vote.claim_id} on bounty #${vote.bounty_id}`
+        );
+        await recordClaimDecision(chain, vote.claim_id, "vote_rejected");
+
+        const next = await db.get(
+          `SELECT claim_id FROM claims
+           WHERE chain = ? AND bounty_id = ? AND decision = 'shortlisted'
+           ORDER BY score DESC, claim_created_at ASC, CAST(claim_id AS INTEGER) ASC
+           LIMIT 1`,
+          [chain.key, vote.bounty_id]
+        );
+        if (next) {
+          try {
+            const result = await settleWinningClaim(
+              chain,
+              vote.bounty_id,
+              next.claim_id
+            );
+            await recordClaimDecision(chain, next.claim_id, result.decision);
+          } catch (error) {
+            // retryFailedClaims() submits it again
+            console.error(`Error submitting claim #${next.claim_id}:`, error);
+            await recordClaimRetry(
+              chain,
+              next.claim_id,
+              error.message,
+              "accept_failed"
+            );
+          }
+        }
+      } catch (error) {
+        console.error(`Error resolving vote for bounty #${vote.bounty_id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error(
+      `Error resolving open bounty votes on ${chain.config.name}:`,
+      error
+    );
+  } finally {
+    chain.isResolvingVotes = false;
+  }
+}
+
+// Claim decisions that mean a bounty may still be paid out; accepted claims
+// are told apart by their accept_tx_hash. Claims stranded mid-verification
+// ("pending", "verified") are left to retryFailedClaims().
+const UNSETTLED_CLAIM_DECISIONS = [
+  "accept_failed",
+  "pending_review",
+  "retry",
+  "shortlisted",
+  "submitted_for_vote",
+];
+
+// Cancel one expired bounty on-chain, recording the refund
+async function cancelExpiredBounty(chain, bountyRow) {
+  const bountyId = bountyRow.contract_bounty_id;
+  const bounty = await chain.contract.bounties(bountyId);
+
+  // POIDH marks a cancelled bounty by setting the claimer to the issuer
+  if (bounty.claimer.toLowerCase() === bounty.issuer.toLowerCase()) {
+    console.log(`Bounty #${bountyId} was already cancelled on-chain`);
+    await db.run(
+      "UPDATE bounties SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [bountyRow.id]
+    );
+    return null;
+  }
+  if (bounty.claimer !== ethers.ZeroAddress) {
+    // Paid out; nothing to refund
+    return null;
+  }
+
+  const refundAmount = bounty.amount;
+  const tx = await sendContractTransaction(
+    chain,
+    bountyRow.bounty_type === "open" ? "cancelOpenBounty" : "cancelSoloBounty",
+    [bountyId]
+  );
+
+  const cancelledEvent = parseReceiptEvents(tx.receipt).find(
+    (event) => event.name === "BountyCancelled"
+  );
+  if (!cancelledEvent) {
+    throw new Error(`BountyCancelled event not found in ${tx.hash}`);
+  }
+
+  await db.run(
+    `UPDATE bounties SET
+       status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancel_tx_hash = ?,
+       refund_amount = ?
+     WHERE id = ?`,
+    [tx.hash, refundAmount.toString(), bountyRow.id]
+  );
+
+  console.log(
+    `Cancelled expired bounty #${bountyId} on ${
+      chain.config.name
+    }, refunded ${formatNativeAmount(chain.config, refundAmount)} (tx ${tx.hash})`
+  );
+  return tx.hash;
+}
+
+// Cancel bot bounties that passed their deadline plus grace period without
+// an accepted claim and with nothing left to judge, review or vote on.
+// Bounties imported by reconciliation are left alone: their type and
+// deadline aren't known.
+export async function expireUnclaimedBounties(chain) {
+  if (chain.isExpiring || !chain.contractReady || !EXPIRY_CONFIG.enabled) {
+    return;
+  }
+  chain.isExpiring = true;
+
+  try {
+    const expired = await db.all(
+      `SELECT * FROM bounties
+       WHERE chain = ?
+         AND contract_bounty_id IS NOT NULL
+         AND cancelled_at IS NULL
+         AND origin IS NOT 'imported'
+         AND deadline IS NOT NULL
+         AND datetime(deadline, ?) <= CURRENT_TIMESTAMP
+         AND (judging_strategy IS NOT 'best-score' OR judged_at IS NOT NULL)
+         AND NOT EXISTS (
+           SELECT 1 FROM claims
+           WHERE claims.chain = bounties.chain
+             AND claims.bounty_id = bounties.contract_bounty_id
+             AND (claims.accept_tx_hash IS NOT NULL
+               OR claims.decision IN (${UNSETTLED_CLAIM_DECISIONS.map(
+                 () => "?"
+               ).join(", ")}))
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM bounty_votes
+           WHERE bounty_votes.chain = bounties.chain
+             AND bounty_votes.bounty_id = bounties.contract_bounty_id
+             AND bounty_votes.outcome IS NULL
+         )
+       ORDER BY deadline ASC`,
+      [
+        chain.key,
+        `+${EXPIRY_CONFIG.graceHours} hours`,
+        ...UNSETTLED_CLAIM_DECISIONS,
+      ]
+    );
+
+    for (const bountyRow of expired) {
+      try {
+        await cancelExpiredBounty(chain, bountyRow);
+      } catch (error) {
+        console.error(
+          `Error cancelling bounty #${bountyRow.contract_bounty_id}:`,
+          error
+        );
+      }
+    }
+  } catch (error) {
+    console.error(`Error expiring bounties on ${chain.config.name}:`, error);
+  } finally {
+    chain.isExpiring = false;
+  }
+}
@@ -0,0 +1,34 @@
+import { API_CONFIG } from "./config.js";
+
+// Opaque keyset pagination cursors, carrying the sort they were issued
+// for and the sort value and id of the last row returned
+export function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+export function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(
+      Buffer.from(String(value), "base64url").toString("utf8")
+    );
+    return cursor && typeof cursor === "object" && "id" in cursor
+      ? cursor
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validate a `limit` query parameter. Returns { error } or { limit }.
+export function parsePageLimit(value) {
+  if (value === undefined) {
+    return { limit: API_CONFIG.defaultPageSize };
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > API_CONFIG.maxPageSize) {
+    return {
+      error: `limit must be an integer between 1 and ${API_CONFIG.maxPageSize}`,
+    };
+  }
+  return { limit };
+}
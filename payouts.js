@@ -0,0 +1,242 @@
+import { ethers } from "ethers";
+import { ERC20_ABI } from "./config.js";
+import { db, getSyncCursor, setSyncCursor } from "./db.js";
+import { CHAIN_REGISTRY, explorerTxUrl } from "./chains.js";
+import { sendContractTransaction } from "./tx.js";
+import { sendAlert } from "./spending.js";
+
+// Token payouts
+// ClaimAccepted on a bot-issued bounty queues one payout; processPayouts()
+// sends it through the transaction manager and tracks it to confirmation.
+
+const PAYOUT_START_CURSOR = "payouts_start";
+
+export function isPayoutEnabled(chain) {
+  return !!(chain.config.payoutTokenAddress && chain.config.payoutTokenAmount);
+}
+
+export async function getPayoutToken(chain) {
+  if (!chain.payoutToken) {
+    const token = new ethers.Contract(
+      chain.config.payoutTokenAddress,
+      ERC20_ABI,
+      chain.wallet
+    );
+    const [decimals, symbol] = await Promise.all([
+      token.decimals(),
+      token.symbol(),
+    ]);
+    chain.payoutToken = { contract: token, decimals: Number(decimals), symbol };
+  }
+  return chain.payoutToken;
+}
+
+// Only acceptances from the block payouts were first enabled at are paid,
+// so indexing old history doesn't pay old winners
+export async function setupPayouts(chain) {
+  if (!isPayoutEnabled(chain)) {
+    return;
+  }
+
+  chain.payoutStartBlock = await getSyncCursor(chain, PAYOUT_START_CURSOR);
+  if (chain.payoutStartBlock === null) {
+    chain.payoutStartBlock = await chain.provider.getBlockNumber();
+    await setSyncCursor(chain, PAYOUT_START_CURSOR, chain.payoutStartBlock);
+  }
+
+  const token = await getPayoutToken(chain);
+  console.log(
+    `Paying ${chain.config.payoutTokenAmount} ${token.symbol} per bounty on ${chain.config.name} from block ${chain.payoutStartBlock}`
+  );
+}
+
+export async function queuePayout(chain, event, args) {
+  if (
+    !isPayoutEnabled(chain) ||
+    chain.payoutStartBlock === null ||
+    event.blockNumber < chain.payoutStartBlock ||
+    args.bountyIssuer.toLowerCase() !== chain.wallet.address.toLowerCase()
+  ) {
+    return;
+  }
+
+  const token = await getPayoutToken(chain);
+  const { changes } = await db.run(
+    `INSERT OR IGNORE INTO payouts
+       (chain, bounty_id, claim_id, recipient, token_address, amount, accept_tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      chain.key,
+      args.bountyId.toString(),
+      args.claimId.toString(),
+      args.claimIssuer,
+      chain.config.payoutTokenAddress,
+      ethers
+        .parseUnits(chain.config.payoutTokenAmount, token.decimals)
+        .toString(),
+      event.transactionHash,
+    ]
+  );
+
+  if (changes) {
+    console.log(
+      `Queued ${chain.config.payoutTokenAmount} ${token.symbol} payout for bounty #${args.bountyId} on ${chain.config.name} to ${args.claimIssuer}`
+    );
+    processPayouts(chain);
+  }
+}
+
+// Move a payout whose transaction has finished to paid or failed
+export async function settlePayout(payout, tx) {
+  if (tx.status === "confirmed") {
+    await db.run(
+      `UPDATE payouts SET status = 'paid', tx_hash = ?, error = NULL,
+         paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [tx.hash, payout.id]
+    );
+    console.log(`Payout for bounty #${payout.bounty_id} sent: ${tx.hash}`);
+  } else if (tx.status === "failed" || tx.status === "rejected") {
+    // Needs a manual retry: the cause (e.g. an empty token balance) is
+    // unlikely to fix itself
+    await db.run(
+      `UPDATE payouts SET status = 'failed', tx_hash = ?, error = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [tx.hash, tx.error, payout.id]
+    );
+    await sendAlert(
+      `Token payout for bounty #${payout.bounty_id} on ${CHAIN_REGISTRY[payout.chain].name} failed: ${tx.error}`
+    );
+  }
+}
+
+async function sendPayout(chain, payout) {
+  const token = await getPayoutToken(chain);
+
+  try {
+    await sendContractTransaction(
+      chain,
+      "transfer",
+      [payout.recipient, BigInt(payout.amount)],
+      {
+        target: token.contract,
+        onRecorded: (txId) =>
+          db.run(
+            `UPDATE payouts SET status = 'sending', transaction_id = ?,
+               attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [txId, payout.id]
+          ),
+      }
+    );
+  } catch (error) {
+    console.error(`Error paying out bounty #${payout.bounty_id}:`, error.message);
+    // If no transaction was recorded it stays pending and is retried
+    await db.run(
+      "UPDATE payouts SET error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [error.message, payout.id]
+    );
+  }
+
+  const { transaction_id } = await db.get(
+    "SELECT transaction_id FROM payouts WHERE id = ?",
+    [payout.id]
+  );
+  if (transaction_id) {
+    const tx = await db.get("SELECT * FROM transactions WHERE id = ?", [
+      transaction_id,
+    ]);
+    await settlePayout(payout, tx);
+  }
+}
+
+export async function processPayouts(chain) {
+  if (
+    !isPayoutEnabled(chain) ||
+    !chain.contractReady ||
+    chain.isProcessingPayouts
+  ) {
+    return;
+  }
+  chain.isProcessingPayouts = true;
+
+  try {
+    const payouts = await db.all(
+      `SELECT * FROM payouts
+       WHERE chain = ? AND status IN ('pending', 'sending')
+       ORDER BY id ASC`,
+      [chain.key]
+    );
+
+    for (const payout of payouts) {
+      if (payout.transaction_id) {
+        // Sent before a restart; resumePendingTransactions() is watching it
+        const tx = await db.get("SELECT * FROM transactions WHERE id = ?", [
+          payout.transaction_id,
+        ]);
+        await settlePayout(payout, tx);
+        continue;
+      }
+
+      await sendPayout(chain, payout);
+    }
+  } catch (error) {
+    console.error(`Error processing payouts on ${chain.config.name}:`, error);
+  } finally {
+    chain.isProcessingPayouts = false;
+  }
+}
+
+// Payout records for the given bounties on a chain, keyed by bounty id
+export async function getPayouts(chain, bountyIds) {
+  const ids = bountyIds.filter((id) => id !== null && id !== undefined);
+  if (!ids.length) {
+    return {};
+  }
+
+  const rows = await db.all(
+    `SELECT * FROM payouts
+     WHERE chain = ? AND bounty_id IN (${ids.map(() => "?").join(",")})`,
+    [chain.key, ...ids]
+  );
+  return Object.fromEntries(rows.map((row) => [row.bounty_id, row]));
+}
+
+export function formatPayout(payout, token) {
+  return {
+    id: payout.id,
+    chain: payout.chain,
+    bountyId: payout.bounty_id,
+    claimId: payout.claim_id,
+    recipient: payout.recipient,
+    token: payout.token_address,
+    amount: token
+      ? `${ethers.formatUnits(payout.amount, token.decimals)} ${token.symbol}`
+      : payout.amount,
+    status: payout.status,
+    txHash: payout.tx_hash,
+    explorerUrl: payout.tx_hash
+      ? explorerTxUrl(CHAIN_REGISTRY[payout.chain], payout.tx_hash)
+      : null,
+    attempts: payout.attempts,
+    error: payout.error,
+    createdAt: payout.created_at,
+    paidAt: payout.paid_at,
+  };
+}
+
+// Payout token for formatting amounts, or null when payouts are off or the
+// chain isn't connected (and the token was never read)
+export async function getDisplayToken(chain) {
+  if (!isPayoutEnabled(chain) || (!chain.payoutToken && !chain.contractReady)) {
+    return null;
+  }
+  return getPayoutToken(chain);
+}
+
+// Advertised token reward, or null when it can't be shown
+export async function getTokenAmount(chain) {
+  const token = await getDisplayToken(chain);
+  return token ? `${chain.config.payoutTokenAmount} ${token.symbol}` : null;
+}
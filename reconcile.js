@@ -0,0 +1,252 @@
+import { ethers } from "ethers";
+import { JUDGING_CONFIG, RECONCILE_CONFIG } from "./config.js";
+import { db } from "./db.js";
+import { publishingBounties } from "./bounties.js";
+
+// Chain reconciliation
+// Bounty rows are matched against getBountiesByUser(bot): unlinked rows are
+// linked to the on-chain bounty with the same text, bounties the wallet
+// created elsewhere are imported, and rows pointing at nothing (orphans) or
+// repeating another row (duplicates) are flagged for a human.
+
+// Every bounty issued by the bot's wallet, newest first
+async function getBotChainBounties(chain) {
+  const bounties = [];
+  for (let offset = 0; ; offset += 10) {
+    const page = await chain.contract.getBountiesByUser(
+      chain.wallet.address,
+      offset
+    );
+    // Unused slots of the fixed-size page come back zeroed
+    const filled = page.filter((bounty) => bounty.issuer !== ethers.ZeroAddress);
+    bounties.push(
+      ...filled.map((bounty) => ({
+        id: bounty.id.toString(),
+        issuer: bounty.issuer,
+        name: bounty.name,
+        description: bounty.description,
+        claimer: bounty.claimer,
+        createdAt: Number(bounty.createdAt),
+      }))
+    );
+    if (filled.length < page.length) {
+      return bounties;
+    }
+  }
+}
+
+// Returns the counts recorded for the run, or null if one is already running
+export async function reconcileBounties(chain) {
+  if (chain.isReconciling || !chain.contractReady) {
+    return null;
+  }
+  chain.isReconciling = true;
+
+  const { lastID: runId } = await db.run(
+    "INSERT INTO reconciliation_runs (chain) VALUES (?)",
+    [chain.key]
+  );
+  const { started_at: startedAt } = await db.get(
+    "SELECT started_at FROM reconciliation_runs WHERE id = ?",
+    [runId]
+  );
+  const report = { onChain: 0, linked: 0, imported: 0, orphans: 0, duplicates: 0 };
+
+  try {
+    const chainBounties = await getBotChainBounties(chain);
+    report.onChain = chainBounties.length;
+
+    const linkedIds = new Set(
+      (
+        await db.all(
+          `SELECT DISTINCT contract_bounty_id FROM bounties
+           WHERE chain = ? AND contract_bounty_id IS NOT NULL`,
+          [chain.key]
+        )
+      ).map((row) => row.contract_bounty_id)
+    );
+
+    // Oldest first, so repeated texts link to rows in creation order
+    for (const chainBounty of [...chainBounties].reverse()) {
+      if (linkedIds.has(chainBounty.id)) {
+        continue;
+      }
+
+      // POIDH marks a cancelled bounty by setting the claimer to the issuer
+      const status =
+        chainBounty.claimer.toLowerCase() === chainBounty.issuer.toLowerCase()
+          ? "cancelled"
+          : "published";
+
+      // A publish that failed or went unconfirmed after its transaction went
+      // through, or a row from before bounties were linked when published
+      const row = await db.get(
+        `SELECT id FROM bounties
+         WHERE chain = ? AND contract_bounty_id IS NULL
+           AND status IN ('published', 'failed', 'unconfirmed')
+           AND title = ? AND description = ?
+         ORDER BY id DESC LIMIT 1`,
+        [chain.key, chainBounty.name, chainBounty.description]
+      );
+
+      if (row && !publishingBounties.has(row.id)) {
+        await db.run(
+          `UPDATE bounties SET
+             contract_bounty_id = ?, status = ?, publish_error = NULL,
+             published_at = COALESCE(published_at, datetime(?, 'unixepoch')),
+             deadline = COALESCE(
+               deadline,
+               datetime(?, 'unixepoch', '+' || COALESCE(window_hours, ?) || ' hours')
+             ),
+             reconcile_note = ?, reconciled_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [
+            chainBounty.id,
+            status,
+            chainBounty.createdAt,
+            chainBounty.createdAt,
+            JUDGING_CONFIG.windowHours,
+            `Linked to on-chain bounty #${chainBounty.id}`,
+            row.id,
+          ]
+        );
+        console.log(
+          `Linked bounty ${row.id} to on-chain bounty #${chainBounty.id} on ${chain.config.name}`
+        );
+        report.linked++;
+      } else if (!row && RECONCILE_CONFIG.importExternal) {
+        await db.run(
+          `INSERT INTO bounties
+             (chain, title, description, contract_bounty_id, status, origin,
+              created_at, published_at, reconcile_note, reconciled_at)
+           VALUES (?, ?, ?, ?, ?, 'imported', datetime(?, 'unixepoch'),
+             datetime(?, 'unixepoch'), ?, CURRENT_TIMESTAMP)`,
+          [
+            chain.key,
+            chainBounty.name,
+            chainBounty.description,
+            chainBounty.id,
+            status,
+            chainBounty.createdAt,
+            chainBounty.createdAt,
+            "Created on-chain outside the bot",
+          ]
+        );
+        console.log(
+          `Imported on-chain bounty #${chainBounty.id} on ${chain.config.name}`
+        );
+        report.imported++;
+      }
+      linkedIds.add(chainBounty.id);
+    }
+
+    // Flags are recomputed from scratch on every pass
+    await db.run(
+      "UPDATE bounties SET reconcile_issue = NULL WHERE chain = ? AND reconcile_issue IS NOT NULL",
+      [chain.key]
+    );
+
+    // Rows published before this pass started that aren't backed by one of
+    // the bot's bounties
+    const chainIds = chainBounties.map((bounty) => bounty.id);
+    const orphans = await db.all(
+      `SELECT id, contract_bounty_id FROM bounties
+       WHERE chain = ?
+         AND (
+           (contract_bounty_id IS NOT NULL
+             AND contract_bounty_id NOT IN (${chainIds.map(() => "?").join(", ")}))
+           OR (status = 'published' AND contract_bounty_id IS NULL)
+         )
+         AND COALESCE(published_at, created_at) < ?`,
+      [chain.key, ...chainIds, startedAt]
+    );
+    for (const orphan of orphans) {
+      if (publishingBounties.has(orphan.id)) {
+        continue;
+      }
+      await db.run(
+        `UPDATE bounties SET
+           reconcile_issue = 'orphan', reconcile_note = ?,
+           reconciled_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          orphan.contract_bounty_id
+            ? `On-chain bounty #${orphan.contract_bounty_id} was not issued by the bot`
+            : "Published without an on-chain bounty",
+          orphan.id,
+        ]
+      );
+      report.orphans++;
+    }
+
+    // Extra rows for the same on-chain bounty, and never-published copies
+    // of a bounty that went out in another row
+    const duplicates = await db.all(
+      `SELECT duplicate.id, original.id AS original_id
+       FROM bounties duplicate
+       JOIN bounties original ON original.id = (
+         SELECT MIN(id) FROM bounties
+         WHERE chain = duplicate.chain AND contract_bounty_id IS NOT NULL
+           AND (contract_bounty_id = duplicate.contract_bounty_id
+             OR (duplicate.contract_bounty_id IS NULL
+               AND title = duplicate.title AND description = duplicate.description))
+       )
+       WHERE duplicate.chain = ? AND duplicate.id != original.id
+         AND (duplicate.contract_bounty_id IS NOT NULL OR duplicate.status = 'failed')`,
+      [chain.key]
+    );
+    for (const duplicate of duplicates) {
+      await db.run(
+        `UPDATE bounties SET
+           reconcile_issue = 'duplicate', reconcile_note = ?,
+           reconciled_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [`Duplicate of bounty ${duplicate.original_id}`, duplicate.id]
+      );
+      report.duplicates++;
+    }
+
+    await db.run(
+      `UPDATE reconciliation_runs SET
+         on_chain = ?, linked = ?, imported = ?, orphans = ?, duplicates = ?,
+         finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        report.onChain,
+        report.linked,
+        report.imported,
+        report.orphans,
+        report.duplicates,
+        runId,
+      ]
+    );
+    if (report.linked || report.imported || report.orphans || report.duplicates) {
+      console.log(`Reconciliation on ${chain.config.name}:`, report);
+    }
+    return report;
+  } catch (error) {
+    console.error(`Error reconciling bounties on ${chain.config.name}:`, error);
+    await db.run(
+      "UPDATE reconciliation_runs SET error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [error.message, runId]
+    );
+    throw error;
+  } finally {
+    chain.isReconciling = false;
+  }
+}
+
+export function formatReconciliationRun(run) {
+  return {
+    id: run.id,
+    chain: run.chain,
+    onChain: run.on_chain,
+    linked: run.linked,
+    imported: run.imported,
+    orphans: run.orphans,
+    duplicates: run.duplicates,
+    error: run.error,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at,
+  };
+}
@@ -0,0 +1,114 @@
+import express from "express";
+import crypto from "crypto";
+import { API_SCOPES } from "../config.js";
+import { db } from "../db.js";
+import { hashApiKey, requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes.split(","),
+    rateLimitPerMinute: apiKey.rate_limit_per_minute,
+    createdAt: apiKey.created_at,
+    lastUsedAt: apiKey.last_used_at,
+    revokedAt: apiKey.revoked_at,
+  };
+}
+
+// Issue a new API key; the plain key is only ever returned here
+router.post("/api-keys", requireApiKey("admin"), async (req, res) => {
+  try {
+    const { name, scopes = ["read"], rateLimitPerMinute = null } =
+      req.body || {};
+
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "name is required",
+      });
+    }
+    if (
+      !Array.isArray(scopes) ||
+      !scopes.length ||
+      !scopes.every((scope) => API_SCOPES.includes(scope))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be a list of: ${API_SCOPES.join(", ")}`,
+      });
+    }
+    if (
+      rateLimitPerMinute !== null &&
+      (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "rateLimitPerMinute must be a positive integer",
+      });
+    }
+
+    const key = `dbk_${crypto.randomBytes(24).toString("hex")}`;
+    const { lastID } = await db.run(
+      "INSERT INTO api_keys (name, key_hash, scopes, rate_limit_per_minute) VALUES (?, ?, ?, ?)",
+      [name, hashApiKey(key), scopes.join(","), rateLimitPerMinute]
+    );
+    const apiKey = await db.get("SELECT * FROM api_keys WHERE id = ?", [
+      lastID,
+    ]);
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to create API key",
+    });
+  }
+});
+
+router.get("/api-keys", requireApiKey("admin"), async (req, res) => {
+  try {
+    const apiKeys = await db.all("SELECT * FROM api_keys ORDER BY id ASC");
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to list API keys",
+    });
+  }
+});
+
+router.delete("/api-keys/:id", requireApiKey("admin"), async (req, res) => {
+  try {
+    const { changes } = await db.run(
+      "UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL",
+      [req.params.id]
+    );
+    if (!changes) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to revoke API key",
+    });
+  }
+});
+
+export default router;
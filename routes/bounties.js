@@ -0,0 +1,443 @@
+import { ethers } from "ethers";
+import express from "express";
+import { db } from "../db.js";
+import {
+  CHAIN_REGISTRY,
+  bountyUrl,
+  explorerTxUrl,
+  formatNativeAmount,
+  getRequestChain,
+} from "../chains.js";
+import { formatClaimVerdict, formatVoteRecord } from "../claims.js";
+import { getCampaignForBounty } from "../campaigns.js";
+import {
+  createBounty,
+  formatBountySummary,
+  getActiveBounties,
+  hasSentPublishTransaction,
+  parseBountyOptions,
+} from "../bounties.js";
+import {
+  beginIdempotentRequest,
+  linkIdempotentRequest,
+  requireApiKey,
+} from "../auth.js";
+
+const router = express.Router();
+
+// API endpoint for manual creation
+// Signs and funds a transaction, so it needs an admin key; send an
+// Idempotency-Key header to make retries safe
+router.post("/create-bounty", requireApiKey("admin"), async (req, res) => {
+  let finishIdempotentRequest = async () => {};
+  let draftId = null;
+
+  try {
+    const { error, options } = parseBountyOptions(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const finish = await beginIdempotentRequest(req, res);
+    if (!finish) {
+      return;
+    }
+    finishIdempotentRequest = finish;
+
+    // Without a chain the bounty goes on its campaign's chain
+    const chain =
+      options.chain ??
+      (await getCampaignForBounty(options.campaignId ?? null)).chain;
+    const bountyId = await createBounty({
+      ...options,
+      chain,
+      reviewer: req.apiKey.name,
+      onDraftCreated: async (id) => {
+        draftId = id;
+        await linkIdempotentRequest(req, id);
+      },
+    });
+    if (!bountyId) {
+      throw new Error("Failed to retrieve bounty ID");
+    }
+    const body = {
+      success: true,
+      chain,
+      bountyId,
+      url: bountyUrl(CHAIN_REGISTRY[chain], bountyId),
+    };
+    await finishIdempotentRequest(200, body);
+    res.json(body);
+  } catch (error) {
+    console.error("API Error:", error);
+    // Once its transaction was sent the bounty may exist on-chain, so the
+    // key stays used instead of letting a retry create it again
+    const sent =
+      draftId !== null &&
+      (await hasSentPublishTransaction(draftId).catch(() => true));
+    const body = {
+      success: false,
+      error: error.message || "Failed to create bounty",
+      ...(sent && { draftId }),
+    };
+    await finishIdempotentRequest(500, body, { retryable: !sent }).catch((e) =>
+      console.error("Error storing idempotent response:", e)
+    );
+    res.status(500).json(body);
+  }
+});
+
+// Open bounties created by the bot, with their participants and vote status
+router.get("/open-bounties", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const bounties = await db.all(
+      `SELECT *, contract_bounty_id as bountyId FROM bounties
+       WHERE chain = ? AND bounty_type = 'open' AND contract_bounty_id IS NOT NULL
+       ORDER BY created_at DESC`,
+      [chain.key]
+    );
+
+    const openBounties = await Promise.all(
+      bounties.map(async (bounty) => {
+        const participants = await db.all(
+          "SELECT participant, amount FROM bounty_participants WHERE chain = ? AND bounty_id = ?",
+          [chain.key, bounty.bountyId]
+        );
+        const latestVote = await db.get(
+          "SELECT * FROM bounty_votes WHERE chain = ? AND bounty_id = ? ORDER BY id DESC LIMIT 1",
+          [chain.key, bounty.bountyId]
+        );
+        const total = participants.reduce((sum, p) => sum + BigInt(p.amount), 0n);
+
+        return {
+          id: bounty.bountyId,
+          chain: chain.key,
+          title: bounty.title,
+          description: bounty.description,
+          created_at: bounty.created_at,
+          deadline: bounty.deadline,
+          participants: participants.length,
+          totalAmount: ethers.formatEther(total),
+          vote: latestVote ? formatVoteRecord(latestVote) : null,
+          poidhUrl: bountyUrl(chain.config, bounty.bountyId),
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      bounties: openBounties,
+    });
+  } catch (error) {
+    console.error("Error fetching open bounties:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch open bounties",
+    });
+  }
+});
+
+// Live participant list and voting state of a single open bounty
+router.get("/open-bounties/:id", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const bountyId = req.params.id;
+    const bounty = await db.get(
+      "SELECT * FROM bounties WHERE chain = ? AND contract_bounty_id = ? AND bounty_type = 'open'",
+      [chain.key, bountyId]
+    );
+
+    if (!bounty) {
+      return res.status(404).json({
+        success: false,
+        error: "Open bounty not found",
+      });
+    }
+
+    // Served from what resolveOpenBountyVotes() and the event indexer have
+    // synced, so requests don't hit the RPC
+    const participants = await db.all(
+      "SELECT participant, amount FROM bounty_participants WHERE chain = ? AND bounty_id = ?",
+      [chain.key, bountyId]
+    );
+    const indexed = await db.get(
+      "SELECT amount, winner FROM chain_bounties WHERE chain = ? AND bounty_id = ?",
+      [chain.key, bountyId]
+    );
+    const votes = await db.all(
+      "SELECT * FROM bounty_votes WHERE chain = ? AND bounty_id = ? ORDER BY id ASC",
+      [chain.key, bountyId]
+    );
+    const currentVote = votes.find((vote) => vote.outcome === null);
+
+    res.json({
+      success: true,
+      bounty: {
+        id: bountyId,
+        chain: chain.key,
+        title: bounty.title,
+        description: bounty.description,
+        created_at: bounty.created_at,
+        deadline: bounty.deadline,
+        amount: ethers.formatEther(
+          indexed?.amount ??
+            participants.reduce((sum, p) => sum + BigInt(p.amount), 0n)
+        ),
+        claimer: indexed?.winner ?? null,
+        participants: participants.map((p) => ({
+          address: p.participant,
+          amount: ethers.formatEther(p.amount),
+        })),
+        currentVote: currentVote
+          ? {
+              claimId: currentVote.claim_id,
+              yes: ethers.formatEther(currentVote.yes_votes ?? 0),
+              no: ethers.formatEther(currentVote.no_votes ?? 0),
+              deadline: currentVote.deadline
+                ? new Date(`${currentVote.deadline}Z`).toISOString()
+                : null,
+            }
+          : null,
+        votes: votes.map(formatVoteRecord),
+        poidhUrl: bountyUrl(chain.config, bountyId),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching open bounty:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch open bounty",
+    });
+  }
+});
+
+// Get current active bounty: the newest published one. Several can run at
+// once; /active-bounties lists all of them.
+router.get("/current-bounty", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+
+    // Get latest bounty from database
+    const latestBounty = await db.get(
+      "SELECT * FROM bounties WHERE chain = ? AND status = 'published' ORDER BY published_at DESC, created_at DESC LIMIT 1",
+      [chain.key]
+    );
+
+    if (!latestBounty) {
+      return res.status(404).json({
+        success: false,
+        error: "No active bounty found",
+      });
+    }
+
+    res.json({
+      success: true,
+      bounty: {
+        ...(await formatBountySummary(chain, latestBounty)),
+        day: latestBounty.id,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching current bounty:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch current bounty",
+    });
+  }
+});
+
+// Every bounty running on a chain, soonest deadline first; `campaign`
+// narrows the list to one campaign
+router.get("/active-bounties", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+
+    let campaignId = null;
+    if (req.query.campaign !== undefined) {
+      campaignId = Number(req.query.campaign);
+      if (!Number.isInteger(campaignId)) {
+        return res.status(400).json({
+          success: false,
+          error: "campaign must be a campaign id",
+        });
+      }
+    }
+
+    const bounties = await getActiveBounties(chain, campaignId);
+
+    res.json({
+      success: true,
+      count: bounties.length,
+      bounties: await Promise.all(
+        bounties.map((bounty) => formatBountySummary(chain, bounty))
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching active bounties:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch active bounties",
+    });
+  }
+});
+
+// One of the bot's bounties in full: the stored row, its state on-chain,
+// every claim with its verification, open bounty votes and the token payout
+router.get("/bounties/:id", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const bountyId = req.params.id;
+
+    const bounty = await db.get(
+      `SELECT * FROM bounties WHERE chain = ? AND contract_bounty_id = ?
+       ORDER BY id ASC LIMIT 1`,
+      [chain.key, bountyId]
+    );
+    if (!bounty) {
+      return res.status(404).json({
+        success: false,
+        error: "Bounty not found",
+      });
+    }
+
+    const indexed = await db.get(
+      "SELECT * FROM chain_bounties WHERE chain = ? AND bounty_id = ?",
+      [chain.key, bountyId]
+    );
+
+    // Read live so the state is current even when the indexer lags behind
+    let live = null;
+    if (chain.contractReady) {
+      try {
+        live = await chain.contract.bounties(bountyId);
+      } catch (error) {
+        console.error(`Error reading bounty ${bountyId}:`, error);
+      }
+    }
+
+    let status = "open";
+    if (bounty.cancelled_at || indexed?.status === "cancelled") {
+      status = "cancelled";
+    } else if (indexed?.status === "accepted") {
+      status = "won";
+    } else if (live && live.claimer !== ethers.ZeroAddress) {
+      // POIDH marks a cancelled bounty by setting the claimer to the issuer
+      status =
+        live.claimer.toLowerCase() === live.issuer.toLowerCase()
+          ? "cancelled"
+          : "won";
+    } else if (new Date(`${bounty.deadline}Z`) <= new Date()) {
+      status = "judging";
+    }
+
+    const chainClaims = await db.all(
+      `SELECT * FROM chain_claims WHERE chain = ? AND bounty_id = ?
+       ORDER BY CAST(claim_id AS INTEGER) ASC`,
+      [chain.key, bountyId]
+    );
+    const verifications = await db.all(
+      "SELECT * FROM claims WHERE chain = ? AND bounty_id = ?",
+      [chain.key, bountyId]
+    );
+    const verificationsById = Object.fromEntries(
+      verifications.map((claim) => [claim.claim_id, claim])
+    );
+
+    // Claims the listener saw before the indexer caught up are listed too
+    const claimIds = [
+      ...new Set([
+        ...chainClaims.map((claim) => claim.claim_id),
+        ...verifications.map((claim) => claim.claim_id),
+      ]),
+    ].sort((a, b) => Number(a) - Number(b));
+    const chainClaimsById = Object.fromEntries(
+      chainClaims.map((claim) => [claim.claim_id, claim])
+    );
+
+    const bountyVotes = await db.all(
+      "SELECT * FROM bounty_votes WHERE chain = ? AND bounty_id = ? ORDER BY id ASC",
+      [chain.key, bountyId]
+    );
+
+    res.json({
+      success: true,
+      bounty: {
+        ...(await formatBountySummary(chain, bounty)),
+        status,
+        threshold: bounty.verification_threshold,
+        windowHours: bounty.window_hours,
+        reward: bounty.reward,
+        origin: bounty.origin || "bot",
+        reviewer: bounty.reviewer,
+        judgedAt: bounty.judged_at,
+        cancelledAt: bounty.cancelled_at,
+        cancelTxHash: bounty.cancel_tx_hash,
+        refundAmount: bounty.refund_amount
+          ? formatNativeAmount(chain.config, bounty.refund_amount)
+          : null,
+        onChain: {
+          issuer: live?.issuer ?? indexed?.issuer ?? null,
+          amount: live
+            ? formatNativeAmount(chain.config, live.amount)
+            : indexed
+              ? formatNativeAmount(chain.config, indexed.amount)
+              : null,
+          claimer:
+            live && live.claimer !== ethers.ZeroAddress ? live.claimer : null,
+          createdAt: live
+            ? new Date(Number(live.createdAt) * 1000).toISOString()
+            : null,
+          indexedStatus: indexed?.status ?? null,
+          winner: indexed?.winner ?? null,
+          winningClaimId: indexed?.winning_claim_id ?? null,
+          acceptTxHash: indexed?.accept_tx_hash ?? null,
+          explorerUrl: explorerTxUrl(chain.config, indexed?.accept_tx_hash),
+          blockNumber: indexed?.block_number ?? null,
+          txHash: indexed?.tx_hash ?? null,
+        },
+        claims: claimIds.map((claimId) => {
+          const claim = chainClaimsById[claimId];
+          const verification = verificationsById[claimId];
+          return {
+            id: claimId,
+            issuer: claim?.issuer ?? verification.claimer,
+            name: claim?.name ?? verification.name,
+            description: claim?.description ?? verification.description,
+            createdAt: claim
+              ? new Date(claim.created_at * 1000).toISOString()
+              : verification.claim_created_at,
+            accepted: !!claim?.accepted || !!verification?.accept_tx_hash,
+            verification: verification
+              ? formatClaimVerdict(verification)
+              : null,
+          };
+        }),
+        votes: bountyVotes.map(formatVoteRecord),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching bounty:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch bounty",
+    });
+  }
+});
+
+export default router;
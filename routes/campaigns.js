@@ -0,0 +1,185 @@
+import express from "express";
+import { db } from "../db.js";
+import { getChainFilter } from "../chains.js";
+import {
+  formatCampaign,
+  getActiveCampaigns,
+  parseCampaignInput,
+  scheduleCampaigns,
+} from "../campaigns.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Campaigns: bounty themes, fallback ideas, rewards and schedules
+router.get("/campaigns", requireApiKey("read"), async (req, res) => {
+  try {
+    const chainKey = getChainFilter(req, res);
+    if (chainKey === false) {
+      return;
+    }
+    const campaigns = await db.all(
+      "SELECT * FROM campaigns WHERE ? IS NULL OR chain = ? ORDER BY id ASC",
+      [chainKey, chainKey]
+    );
+    const activeIds = new Set((await getActiveCampaigns()).map((c) => c.id));
+
+    res.json({
+      success: true,
+      campaigns: campaigns.map((campaign) => ({
+        ...formatCampaign(campaign),
+        live: activeIds.has(campaign.id),
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing campaigns:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to list campaigns",
+    });
+  }
+});
+
+router.get("/campaigns/:id", requireApiKey("read"), async (req, res) => {
+  try {
+    const campaign = await db.get("SELECT * FROM campaigns WHERE id = ?", [
+      req.params.id,
+    ]);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: "Campaign not found",
+      });
+    }
+
+    const bounties = await db.all(
+      `SELECT id, title, status, contract_bounty_id, created_at FROM bounties
+       WHERE campaign_id = ? ORDER BY created_at DESC`,
+      [campaign.id]
+    );
+
+    res.json({
+      success: true,
+      campaign: {
+        ...formatCampaign(campaign),
+        bounties: bounties.map((bounty) => ({
+          id: bounty.contract_bounty_id || bounty.id.toString(),
+          title: bounty.title,
+          status: bounty.status,
+          createdAt: bounty.created_at,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching campaign:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch campaign",
+    });
+  }
+});
+
+router.post("/campaigns", requireApiKey("admin"), async (req, res) => {
+  try {
+    const { error, values } = parseCampaignInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const columns = Object.keys(values);
+    const { lastID } = await db.run(
+      `INSERT INTO campaigns (${columns.join(", ")})
+       VALUES (${columns.map(() => "?").join(", ")})`,
+      Object.values(values)
+    );
+    await scheduleCampaigns();
+
+    const campaign = await db.get("SELECT * FROM campaigns WHERE id = ?", [
+      lastID,
+    ]);
+    res.status(201).json({
+      success: true,
+      campaign: formatCampaign(campaign),
+    });
+  } catch (error) {
+    console.error("Error creating campaign:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to create campaign",
+    });
+  }
+});
+
+router.put("/campaigns/:id", requireApiKey("admin"), async (req, res) => {
+  try {
+    const { error, values } = parseCampaignInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const columns = Object.keys(values);
+    if (!columns.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Nothing to update",
+      });
+    }
+
+    const { changes } = await db.run(
+      `UPDATE campaigns
+       SET ${columns.map((column) => `${column} = ?`).join(", ")},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...Object.values(values), req.params.id]
+    );
+    if (!changes) {
+      return res.status(404).json({
+        success: false,
+        error: "Campaign not found",
+      });
+    }
+    await scheduleCampaigns();
+
+    const campaign = await db.get("SELECT * FROM campaigns WHERE id = ?", [
+      req.params.id,
+    ]);
+    res.json({
+      success: true,
+      campaign: formatCampaign(campaign),
+    });
+  } catch (error) {
+    console.error("Error updating campaign:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to update campaign",
+    });
+  }
+});
+
+// Campaigns are deactivated rather than deleted, so their bounties keep a
+// theme to point at
+router.delete("/campaigns/:id", requireApiKey("admin"), async (req, res) => {
+  try {
+    const { changes } = await db.run(
+      "UPDATE campaigns SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [req.params.id]
+    );
+    if (!changes) {
+      return res.status(404).json({
+        success: false,
+        error: "Campaign not found",
+      });
+    }
+    await scheduleCampaigns();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deactivating campaign:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to deactivate campaign",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,146 @@
+import express from "express";
+import { db } from "../db.js";
+import { getRequestChain } from "../chains.js";
+import { fetchJsonContent, getClaimTokenURI } from "../gateway.js";
+import { formatClaimRecord, getClaimVotes } from "../claims.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Claims on a bounty with their verification results
+router.get("/bounty/:id/claims", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const bountyId = req.params.id;
+
+    // Get claims for the bounty from the local event index
+    const claims = await db.all(
+      `SELECT * FROM chain_claims WHERE chain = ? AND bounty_id = ?
+       ORDER BY CAST(claim_id AS INTEGER) ASC`,
+      [chain.key, bountyId]
+    );
+
+    // Fetch and format claims with NFT metadata, cached after the first request
+    const formattedClaims = await Promise.all(
+      claims.map(async (claim) => {
+        let metadata = {};
+        try {
+          metadata = await fetchJsonContent(
+            await getClaimTokenURI(chain, claim.claim_id)
+          );
+        } catch (error) {
+          console.error(
+            `Error fetching metadata for claim ${claim.claim_id}:`,
+            error
+          );
+          metadata = { error: "Failed to fetch NFT metadata" };
+        }
+
+        return {
+          id: claim.claim_id,
+          issuer: claim.issuer,
+          bountyId: claim.bounty_id,
+          bountyIssuer: claim.bounty_issuer,
+          name: claim.name,
+          description: claim.description,
+          createdAt: new Date(claim.created_at * 1000).toISOString(),
+          accepted: !!claim.accepted,
+          nft: {
+            tokenId: claim.claim_id,
+            contractAddress: chain.config.nftContractAddress,
+            metadata: {
+              image: metadata.image || "",
+              name: metadata.name || "",
+              description: metadata.description || "",
+              external_url: metadata.external_url || "",
+              attributes: metadata.attributes || [],
+            },
+          },
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      claims: formattedClaims,
+    });
+  } catch (error) {
+    console.error("Error fetching claims:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch claims",
+    });
+  }
+});
+
+// AI verification audit record for a single claim
+router.get("/claims/:id", requireApiKey("read"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const claim = await db.get(
+      "SELECT * FROM claims WHERE chain = ? AND claim_id = ?",
+      [chain.key, req.params.id]
+    );
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: "Claim not found",
+      });
+    }
+
+    const votes = await getClaimVotes(chain, [claim.claim_id]);
+
+    res.json({
+      success: true,
+      claim: formatClaimRecord(claim, votes[claim.claim_id]),
+    });
+  } catch (error) {
+    console.error("Error fetching claim:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch claim",
+    });
+  }
+});
+
+// Every verification decision made for a bounty's claims
+router.get("/bounty/:id/verifications", requireApiKey("read"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const claims = await db.all(
+      `SELECT * FROM claims WHERE chain = ? AND bounty_id = ?
+       ORDER BY claim_created_at ASC, CAST(claim_id AS INTEGER) ASC`,
+      [chain.key, req.params.id]
+    );
+
+    const votes = await getClaimVotes(
+      chain,
+      claims.map((c) => c.claim_id)
+    );
+
+    res.json({
+      success: true,
+      verifications: claims.map((claim) =>
+        formatClaimRecord(claim, votes[claim.claim_id])
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching verifications:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch verifications",
+    });
+  }
+});
+
+export default router;
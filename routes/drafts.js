@@ -0,0 +1,310 @@
+import express from "express";
+import { BOUNTY_STATUSES, PUBLISH_CONFIG } from "../config.js";
+import { db, toSqliteDatetime } from "../db.js";
+import { CHAIN_REGISTRY, bountyUrl, getChainFilter } from "../chains.js";
+import { bountyModerationText } from "../moderation.js";
+import {
+  bountySimilarityText,
+  compareWithBounties,
+  storeBountyVector,
+  validateBountyIdea,
+} from "../ideas.js";
+import {
+  formatBountyDraft,
+  generateBountyDrafts,
+  parseBountyOptions,
+  publishBounty,
+} from "../bounties.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Bounty drafts awaiting review or publication
+router.get("/drafts", requireApiKey("read"), async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(",")
+      : ["draft", "approved", "scheduled", "failed", "blocked"];
+    const unknown = statuses.filter((status) => !BOUNTY_STATUSES.includes(status));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${BOUNTY_STATUSES.join(", ")}`,
+      });
+    }
+    const chainKey = getChainFilter(req, res);
+    if (chainKey === false) {
+      return;
+    }
+
+    const drafts = await db.all(
+      `SELECT * FROM bounties
+       WHERE status IN (${statuses.map(() => "?").join(", ")})
+         AND (? IS NULL OR chain = ?)
+       ORDER BY id DESC LIMIT 100`,
+      [...statuses, chainKey, chainKey]
+    );
+
+    res.json({
+      success: true,
+      drafts: drafts.map(formatBountyDraft),
+    });
+  } catch (error) {
+    console.error("Error listing drafts:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to list drafts",
+    });
+  }
+});
+
+// Generate `count` drafts; body takes the same settings as /create-bounty
+router.post("/drafts", requireApiKey("admin"), async (req, res) => {
+  try {
+    const { count = 1 } = req.body || {};
+    if (
+      !Number.isInteger(count) ||
+      count < 1 ||
+      count > PUBLISH_CONFIG.maxDraftsPerRequest
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `count must be an integer between 1 and ${PUBLISH_CONFIG.maxDraftsPerRequest}`,
+      });
+    }
+
+    const { error, options } = parseBountyOptions(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const draftIds = await generateBountyDrafts(count, options);
+    const drafts = await db.all(
+      `SELECT * FROM bounties WHERE id IN (${draftIds.map(() => "?").join(", ")})
+       ORDER BY id ASC`,
+      draftIds
+    );
+
+    res.status(201).json({
+      success: true,
+      drafts: drafts.map(formatBountyDraft),
+    });
+  } catch (error) {
+    console.error("Error generating drafts:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to generate drafts",
+    });
+  }
+});
+
+// Edit a draft that hasn't been published yet
+router.put("/drafts/:id", requireApiKey("admin"), async (req, res) => {
+  try {
+    const draft = await db.get(
+      `SELECT * FROM bounties
+       WHERE id = ? AND status IN ('draft', 'approved', 'scheduled', 'failed')`,
+      [req.params.id]
+    );
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: "No unpublished draft with that id",
+      });
+    }
+
+    const { error, options } = parseBountyOptions(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Edited content must still match the idea schema
+    const current = formatBountyDraft(draft);
+    const body = req.body || {};
+    const { idea, error: ideaError } = validateBountyIdea({
+      title: body.title ?? current.title,
+      description: body.description ?? current.description,
+      difficulty: body.difficulty ?? current.difficulty ?? "medium",
+      tags: body.tags ?? current.tags,
+      requiredProps: body.requiredProps ?? current.requiredProps,
+      safetyNotes: body.safetyNotes ?? current.safetyNotes ?? "",
+    });
+    if (ideaError) {
+      return res.status(400).json({ success: false, error: ideaError });
+    }
+
+    const values = {
+      title: idea.title,
+      description: idea.description,
+      difficulty: idea.difficulty,
+      tags: JSON.stringify(idea.tags),
+      required_props: JSON.stringify(idea.requiredProps),
+      safety_notes: idea.safetyNotes,
+    };
+    if (options.verificationThreshold !== undefined)
+      values.verification_threshold = options.verificationThreshold;
+    if (options.judgingStrategy !== undefined)
+      values.judging_strategy = options.judgingStrategy;
+    if (options.bountyType !== undefined) values.bounty_type = options.bountyType;
+    if (options.campaignId !== undefined) values.campaign_id = options.campaignId;
+    if (options.chain !== undefined) values.chain = options.chain;
+    if (options.reward !== undefined) values.reward = options.reward;
+    if (options.windowHours !== undefined) values.window_hours = options.windowHours;
+
+    // New text needs a new vector and duplicate check
+    if (
+      idea.title !== draft.title ||
+      idea.description !== draft.description
+    ) {
+      const { vector, provider, similar } = await compareWithBounties(
+        bountySimilarityText(idea),
+        { excludeId: draft.id }
+      );
+      await storeBountyVector(draft.id, vector, provider);
+      values.similarity = similar ? similar.similarity : 0;
+      values.similar_to = similar ? similar.bountyId : null;
+    }
+
+    // Changed content has to pass moderation again before it's published
+    if (bountyModerationText(idea) !== bountyModerationText(draft)) {
+      values.moderation_status = null;
+    }
+
+    const columns = Object.keys(values);
+    await db.run(
+      `UPDATE bounties SET ${columns.map((column) => `${column} = ?`).join(", ")}
+       WHERE id = ?`,
+      [...Object.values(values), draft.id]
+    );
+
+    const updated = await db.get("SELECT * FROM bounties WHERE id = ?", [
+      draft.id,
+    ]);
+    res.json({ success: true, draft: formatBountyDraft(updated) });
+  } catch (error) {
+    console.error("Error updating draft:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to update draft",
+    });
+  }
+});
+
+// Approve a draft for the next campaign slot, or for `scheduledFor`
+router.post("/drafts/:id/approve", requireApiKey("admin"), async (req, res) => {
+  try {
+    const {
+      reviewer = req.apiKey.name,
+      note = null,
+      scheduledFor,
+    } = req.body || {};
+
+    let scheduledAt = null;
+    if (scheduledFor !== undefined && scheduledFor !== null) {
+      const date = new Date(scheduledFor);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: "scheduledFor must be a date",
+        });
+      }
+      scheduledAt = toSqliteDatetime(date);
+    }
+
+    const { changes } = await db.run(
+      `UPDATE bounties SET
+         status = ?, scheduled_for = ?, reviewer = ?, review_note = ?,
+         reviewed_at = CURRENT_TIMESTAMP, publish_error = NULL
+       WHERE id = ? AND status IN ('draft', 'approved', 'scheduled', 'failed')`,
+      [
+        scheduledAt ? "scheduled" : "approved",
+        scheduledAt,
+        reviewer,
+        note,
+        req.params.id,
+      ]
+    );
+    if (!changes) {
+      return res.status(404).json({
+        success: false,
+        error: "No unpublished draft with that id",
+      });
+    }
+
+    const draft = await db.get("SELECT * FROM bounties WHERE id = ?", [
+      req.params.id,
+    ]);
+    res.json({ success: true, draft: formatBountyDraft(draft) });
+  } catch (error) {
+    console.error("Error approving draft:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to approve draft",
+    });
+  }
+});
+
+router.post("/drafts/:id/reject", requireApiKey("admin"), async (req, res) => {
+  try {
+    const { reviewer = req.apiKey.name, note = null } = req.body || {};
+    const { changes } = await db.run(
+      `UPDATE bounties SET
+         status = 'cancelled', reviewer = ?, review_note = ?,
+         reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('draft', 'approved', 'scheduled', 'failed', 'blocked')`,
+      [reviewer, note, req.params.id]
+    );
+    if (!changes) {
+      return res.status(404).json({
+        success: false,
+        error: "No unpublished draft with that id",
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error rejecting draft:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to reject draft",
+    });
+  }
+});
+
+// Publish an approved draft now instead of waiting for its slot
+router.post("/drafts/:id/publish", requireApiKey("admin"), async (req, res) => {
+  try {
+    const draft = await db.get(
+      "SELECT status, chain FROM bounties WHERE id = ?",
+      [req.params.id]
+    );
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: "Draft not found",
+      });
+    }
+    if (!["approved", "scheduled"].includes(draft.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Draft is ${draft.status}; approve it before publishing`,
+      });
+    }
+
+    const bountyId = await publishBounty(Number(req.params.id));
+    res.json({
+      success: true,
+      chain: draft.chain,
+      bountyId,
+      url: bountyUrl(CHAIN_REGISTRY[draft.chain], bountyId),
+    });
+  } catch (error) {
+    console.error("Error publishing draft:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to publish draft",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,432 @@
+import { ethers } from "ethers";
+import express from "express";
+import { db, toSqliteDatetime } from "../db.js";
+import {
+  explorerTxUrl,
+  formatNativeAmount,
+  getRequestChain,
+} from "../chains.js";
+import {
+  formatPayout,
+  getDisplayToken,
+  getPayouts,
+  getTokenAmount,
+} from "../payouts.js";
+import { formatPublishedBounty } from "../bounties.js";
+import { decodeCursor, encodeCursor, parsePageLimit } from "../pagination.js";
+
+const router = express.Router();
+
+// Bounty outcomes the history can be filtered by
+const HISTORY_STATUSES = ["won", "cancelled", "open"];
+
+// Sort keys of the history, as columns of the history query
+const HISTORY_SORTS = {
+  published: "published",
+  amount: "amount_value",
+};
+
+// Wei amounts are zero-padded to the 78 digits of a uint256 to sort them as
+// text: a REAL would round amounts that differ beyond its 15-17 digits
+const UINT256_ZEROS = "0".repeat(78);
+
+// Every bounty the bot published on a chain, with its outcome and winner
+// from the local event index. Duplicate rows of one on-chain bounty are
+// left out so nothing is counted twice.
+function bountyHistoryQuery(select) {
+  return `
+    WITH history AS (
+      SELECT bounties.*, bounties.contract_bounty_id AS bountyId,
+        chain_bounties.winner, chain_bounties.winning_claim_id,
+        chain_bounties.accept_tx_hash AS claim_tx_hash,
+        chain_bounties.amount AS chain_amount, chain_claims.fee,
+        COALESCE(bounties.published_at, bounties.created_at) AS published,
+        substr(
+          '${UINT256_ZEROS}' || COALESCE(chain_bounties.amount, '0'),
+          -${UINT256_ZEROS.length}
+        ) AS amount_value,
+        CASE
+          WHEN bounties.cancelled_at IS NOT NULL
+            OR chain_bounties.status = 'cancelled' THEN 'cancelled'
+          WHEN chain_bounties.status = 'accepted' THEN 'won'
+          ELSE 'open'
+        END AS outcome
+      FROM bounties
+      LEFT JOIN chain_bounties
+        ON chain_bounties.chain = bounties.chain
+        AND chain_bounties.bounty_id = bounties.contract_bounty_id
+      LEFT JOIN chain_claims
+        ON chain_claims.chain = chain_bounties.chain
+        AND chain_claims.claim_id = chain_bounties.winning_claim_id
+      WHERE bounties.chain = ? AND bounties.contract_bounty_id IS NOT NULL
+        AND bounties.reconcile_issue IS NOT 'duplicate'
+    )
+    ${select}`;
+}
+
+// Validate the history's query string. Returns { error } or { filters }.
+function parseHistoryQuery(query) {
+  const filters = {
+    statuses: null,
+    campaignId: null,
+    winner: null,
+    from: null,
+    to: null,
+    sort: "published",
+    order: "desc",
+    limit: null,
+    cursor: null,
+  };
+
+  const { error, limit } = parsePageLimit(query.limit);
+  if (error) {
+    return { error };
+  }
+  filters.limit = limit;
+
+  if (query.status !== undefined) {
+    filters.statuses = String(query.status).split(",");
+    if (filters.statuses.some((status) => !HISTORY_STATUSES.includes(status))) {
+      return {
+        error: `status must be one of: ${HISTORY_STATUSES.join(", ")}`,
+      };
+    }
+  }
+
+  if (query.campaign !== undefined) {
+    filters.campaignId = Number(query.campaign);
+    if (!Number.isInteger(filters.campaignId)) {
+      return { error: "campaign must be a campaign id" };
+    }
+  }
+
+  if (query.winner !== undefined) {
+    if (!ethers.isAddress(String(query.winner))) {
+      return { error: "winner must be an address" };
+    }
+    filters.winner = String(query.winner).toLowerCase();
+  }
+
+  // Both ends are inclusive and bound the publish time; a date without a
+  // time runs to the end of that day (UTC) as `to`
+  for (const field of ["from", "to"]) {
+    if (query[field] === undefined) {
+      continue;
+    }
+    const value = String(query[field]);
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a date` };
+    }
+    if (field === "to" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCSeconds(date.getUTCSeconds() - 1);
+    }
+    filters[field] = toSqliteDatetime(date);
+  }
+
+  if (query.sort !== undefined) {
+    if (!HISTORY_SORTS[query.sort]) {
+      return {
+        error: `sort must be one of: ${Object.keys(HISTORY_SORTS).join(", ")}`,
+      };
+    }
+    filters.sort = query.sort;
+  }
+
+  if (query.order !== undefined) {
+    if (!["asc", "desc"].includes(query.order)) {
+      return { error: "order must be asc or desc" };
+    }
+    filters.order = query.order;
+  }
+
+  if (query.cursor !== undefined) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.cursor) {
+      return { error: "cursor is invalid" };
+    }
+    if (
+      filters.cursor.sort !== filters.sort ||
+      filters.cursor.order !== filters.order
+    ) {
+      return { error: "cursor was issued for a different sort or order" };
+    }
+  }
+
+  return { filters };
+}
+
+// Bounty archive, served from the local index: filter by publish date
+// (`from`, `to`), `campaign`, `status` (won, cancelled, open; comma
+// separated) and `winner`, sort by `sort` and `order`, and page through
+// with `limit` and the `nextCursor` of the previous page
+router.get("/previous-bounties", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const { error, filters } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const conditions = [];
+    const params = [chain.key];
+    if (filters.campaignId !== null) {
+      conditions.push("campaign_id = ?");
+      params.push(filters.campaignId);
+    }
+    if (filters.winner) {
+      conditions.push("lower(winner) = ?");
+      params.push(filters.winner);
+    }
+    if (filters.from) {
+      conditions.push("published >= ?");
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push("published <= ?");
+      params.push(filters.to);
+    }
+
+    // Per-status counts ignore the status filter, so they can label filter
+    // tabs; everything else honours it
+    const counts = Object.fromEntries(
+      HISTORY_STATUSES.map((status) => [status, 0])
+    );
+    const countRows = await db.all(
+      bountyHistoryQuery(
+        `SELECT outcome, COUNT(*) AS count FROM history
+         ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+         GROUP BY outcome`
+      ),
+      params
+    );
+    for (const row of countRows) {
+      counts[row.outcome] = row.count;
+    }
+
+    if (filters.statuses) {
+      conditions.push(
+        `outcome IN (${filters.statuses.map(() => "?").join(", ")})`
+      );
+      params.push(...filters.statuses);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const total = (filters.statuses || HISTORY_STATUSES).reduce(
+      (sum, status) => sum + counts[status],
+      0
+    );
+
+    let totalDistributed = 0n;
+    const wonRows = await db.all(
+      bountyHistoryQuery(
+        `SELECT chain_amount, fee FROM history
+         ${where ? `${where} AND` : "WHERE"} outcome = 'won'`
+      ),
+      params
+    );
+    for (const row of wonRows) {
+      // The winner receives the bounty minus the protocol fee
+      totalDistributed += BigInt(row.chain_amount) - BigInt(row.fee ?? 0);
+    }
+
+    const sortColumn = HISTORY_SORTS[filters.sort];
+    const direction = filters.order === "asc" ? "ASC" : "DESC";
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (filters.cursor) {
+      const comparison = filters.order === "asc" ? ">" : "<";
+      pageConditions.push(
+        `(${sortColumn} ${comparison} ? OR (${sortColumn} = ? AND id ${comparison} ?))`
+      );
+      pageParams.push(filters.cursor.value, filters.cursor.value, filters.cursor.id);
+    }
+
+    // One extra row tells whether there is another page
+    const rows = await db.all(
+      bountyHistoryQuery(
+        `SELECT * FROM history
+         ${pageConditions.length ? `WHERE ${pageConditions.join(" AND ")}` : ""}
+         ORDER BY ${sortColumn} ${direction}, id ${direction}
+         LIMIT ?`
+      ),
+      [...pageParams, filters.limit + 1]
+    );
+    const hasMore = rows.length > filters.limit;
+    const bounties = rows.slice(0, filters.limit);
+    const last = bounties[bounties.length - 1];
+
+    const payouts = await getPayouts(
+      chain,
+      bounties.map((b) => b.bountyId)
+    );
+    const tokenAmount = await getTokenAmount(chain);
+    const token = await getDisplayToken(chain);
+
+    const validBounties = bounties.map((bounty) => {
+      const acceptedClaim = bounty.winning_claim_id
+        ? { id: bounty.winning_claim_id, issuer: bounty.winner }
+        : null;
+      // Not indexed yet: fall back to the reward stored when publishing
+      const amount =
+        bounty.chain_amount !== null
+          ? BigInt(bounty.chain_amount)
+          : bounty.reward
+            ? ethers.parseEther(bounty.reward)
+            : null;
+
+      // The winner receives the bounty minus the protocol fee
+      const payout =
+        acceptedClaim && amount !== null
+          ? amount - BigInt(bounty.fee ?? 0)
+          : null;
+
+      return {
+        ...formatPublishedBounty(chain, bounty),
+        day: bounty.id,
+        status: bounty.outcome,
+        winner: acceptedClaim ? acceptedClaim.issuer : null,
+        amount: amount === null ? null : formatNativeAmount(chain.config, amount),
+        payout: payout === null ? null : formatNativeAmount(chain.config, payout),
+        tokenAmount,
+        tokenPayout: payouts[bounty.bountyId]
+          ? formatPayout(payouts[bounty.bountyId], token)
+          : null,
+        task: bounty.title,
+        transactionHash: bounty.claim_tx_hash || null,
+        explorerUrl: explorerTxUrl(chain.config, bounty.claim_tx_hash),
+        cancelled: bounty.outcome === "cancelled",
+        cancelledAt: bounty.cancelled_at,
+        cancelTxHash: bounty.cancel_tx_hash,
+        refundAmount: bounty.refund_amount
+          ? formatNativeAmount(chain.config, bounty.refund_amount)
+          : null,
+        // Include raw data for debugging
+        contract_bounty_id: bounty.bountyId,
+        acceptedClaim,
+      };
+    });
+
+    res.json({
+      success: true,
+      stats: {
+        totalBounties: total,
+        wonBounties: counts.won,
+        cancelledBounties: counts.cancelled,
+        openBounties: counts.open,
+        totalDistributed: ethers.formatEther(totalDistributed)
+      },
+      bounties: validBounties,
+      pagination: {
+        limit: filters.limit,
+        sort: filters.sort,
+        order: filters.order,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor({
+              sort: filters.sort,
+              order: filters.order,
+              value: last[sortColumn],
+              id: last.id,
+            })
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching previous bounties:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch previous bounties"
+    });
+  }
+});
+
+// Get stats endpoint
+router.get("/stats", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    if (!chain.contractReady) {
+      return res.status(503).json({
+        success: false,
+        error: `Contract on ${chain.config.name} is not initialized yet`,
+      });
+    }
+
+    // Get total bounties created
+    const { dayCount } = await db.get(
+      "SELECT COUNT(*) as dayCount FROM bounties WHERE chain = ? AND contract_bounty_id IS NOT NULL",
+      [chain.key]
+    );
+
+    // Totals over every on-chain bounty the bot issued, from the event index
+    const chainBounties = await db.all(
+      `SELECT chain_bounties.status, chain_bounties.amount, chain_bounties.winner,
+         chain_claims.fee
+       FROM chain_bounties
+       LEFT JOIN chain_claims
+         ON chain_claims.chain = chain_bounties.chain
+         AND chain_claims.claim_id = chain_bounties.winning_claim_id
+       WHERE chain_bounties.chain = ? AND lower(chain_bounties.issuer) = lower(?)`,
+      [chain.key, chain.wallet.address]
+    );
+
+    const totals = {
+      awarded: 0n,
+      paidOut: 0n,
+      fees: 0n,
+      refunded: 0n,
+      unclaimed: 0n,
+    };
+    const counts = { open: 0, accepted: 0, cancelled: 0 };
+    const winners = new Set();
+
+    for (const bounty of chainBounties) {
+      const amount = BigInt(bounty.amount);
+      counts[bounty.status]++;
+
+      if (bounty.status === "accepted") {
+        const fee = BigInt(bounty.fee ?? 0);
+        totals.awarded += amount;
+        totals.fees += fee;
+        totals.paidOut += amount - fee;
+        winners.add(bounty.winner.toLowerCase());
+      } else if (bounty.status === "cancelled") {
+        totals.refunded += amount;
+      } else {
+        totals.unclaimed += amount;
+      }
+    }
+
+    res.json({
+      success: true,
+      stats: {
+        chain: chain.key,
+        currentDay: dayCount,
+        totalBounties: chainBounties.length,
+        openBounties: counts.open,
+        wonBounties: counts.accepted,
+        cancelledBounties: counts.cancelled,
+        totalRewards: formatNativeAmount(chain.config, totals.awarded),
+        totalPaidOut: formatNativeAmount(chain.config, totals.paidOut),
+        totalFees: formatNativeAmount(chain.config, totals.fees),
+        totalRefunded: formatNativeAmount(chain.config, totals.refunded),
+        unclaimedValue: formatNativeAmount(chain.config, totals.unclaimed),
+        distinctWinners: winners.size,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching stats:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch stats",
+    });
+  }
+});
+
+export default router;
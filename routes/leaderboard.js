@@ -0,0 +1,434 @@
+import { ethers } from "ethers";
+import express from "express";
+import { db } from "../db.js";
+import {
+  bountyUrl,
+  explorerTxUrl,
+  formatNativeAmount,
+  getRequestChain,
+} from "../chains.js";
+import { formatPayout, getDisplayToken, getPayouts } from "../payouts.js";
+import { decodeCursor, encodeCursor, parsePageLimit } from "../pagination.js";
+
+const router = express.Router();
+
+// Leaderboard periods by name, as the number of days they reach back.
+// Any number of days can also be given as e.g. `90d`.
+const LEADERBOARD_PERIODS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365,
+  all: null,
+};
+
+const LEADERBOARD_SORTS = [
+  "wins",
+  "earned",
+  "submissions",
+  "acceptanceRate",
+  "streak",
+];
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Validate a leaderboard `period`. Returns { error } or { period, since },
+// where since is the unix time the period starts at, or null for all time.
+function parseLeaderboardPeriod(value) {
+  const period = value === undefined ? "all" : String(value);
+  let days = LEADERBOARD_PERIODS[period];
+  if (days === undefined) {
+    const match = period.match(/^(\d+)d$/);
+    days = match ? Number(match[1]) : 0;
+    if (days < 1) {
+      return {
+        error: `period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(", ")}, or a number of days such as 90d`,
+      };
+    }
+  }
+
+  return {
+    period,
+    since:
+      days === null
+        ? null
+        : Math.floor(Date.now() / 1000) - days * SECONDS_PER_DAY,
+  };
+}
+
+// Indexed claims on bounties the bot issued, with the bounty's outcome.
+// Optionally only one participant's, and only those made since a unix time.
+async function getParticipantClaims(chain, { address = null, since = null } = {}) {
+  const conditions = [
+    "chain_claims.chain = ?",
+    "lower(chain_bounties.issuer) = lower(?)",
+  ];
+  const params = [chain.key, chain.wallet.address];
+  if (address) {
+    conditions.push("lower(chain_claims.issuer) = ?");
+    params.push(address);
+  }
+  if (since !== null) {
+    conditions.push("chain_claims.created_at >= ?");
+    params.push(since);
+  }
+
+  return db.all(
+    `SELECT chain_claims.*, chain_bounties.name AS bounty_name,
+       chain_bounties.status AS bounty_status,
+       chain_bounties.amount AS bounty_amount
+     FROM chain_claims
+     JOIN chain_bounties
+       ON chain_bounties.chain = chain_claims.chain
+       AND chain_bounties.bounty_id = chain_claims.bounty_id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY chain_claims.created_at ASC, CAST(chain_claims.claim_id AS INTEGER) ASC`,
+    params
+  );
+}
+
+// Paid token payouts on a chain, summed by lowercased recipient
+async function getTokenEarnings(chain, address = null) {
+  const rows = await db.all(
+    `SELECT recipient, amount FROM payouts
+     WHERE chain = ? AND status = 'paid'
+     ${address ? "AND lower(recipient) = ?" : ""}`,
+    address ? [chain.key, address] : [chain.key]
+  );
+
+  const earnings = new Map();
+  for (const row of rows) {
+    const recipient = row.recipient.toLowerCase();
+    earnings.set(recipient, (earnings.get(recipient) ?? 0n) + BigInt(row.amount));
+  }
+  return earnings;
+}
+
+// A claim's outcome: won, lost to another claim, cancelled with the
+// bounty, or pending while the bounty is still open
+function getClaimOutcome(claim) {
+  if (claim.accepted) {
+    return "won";
+  }
+  if (claim.bounty_status === "accepted") {
+    return "lost";
+  }
+  return claim.bounty_status === "cancelled" ? "cancelled" : "pending";
+}
+
+// Longest run of consecutive UTC days with a win, and the run that is
+// still going (its last win today or yesterday)
+function getWinStreaks(winTimes) {
+  const days = [
+    ...new Set(winTimes.map((time) => Math.floor(time / SECONDS_PER_DAY))),
+  ].sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < days.length; i++) {
+    run = i > 0 && days[i] === days[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const today = Math.floor(Date.now() / 1000 / SECONDS_PER_DAY);
+  const current = days.length && days[days.length - 1] >= today - 1 ? run : 0;
+  return { longest, current };
+}
+
+function createParticipant(address) {
+  return {
+    address: ethers.getAddress(address),
+    submissions: 0,
+    bounties: new Set(),
+    wins: 0,
+    earned: 0n,
+    winTimes: [],
+    firstSubmissionAt: null,
+    lastSubmissionAt: null,
+  };
+}
+
+// Per-participant totals over the given claims, oldest first, keyed by
+// lowercased address
+function summarizeParticipants(claims) {
+  const participants = new Map();
+  for (const claim of claims) {
+    const address = claim.issuer.toLowerCase();
+    if (!participants.has(address)) {
+      participants.set(address, createParticipant(address));
+    }
+
+    const participant = participants.get(address);
+    participant.submissions++;
+    if (participant.firstSubmissionAt === null) {
+      participant.firstSubmissionAt = claim.created_at;
+    }
+    participant.bounties.add(claim.bounty_id);
+    participant.lastSubmissionAt = claim.created_at;
+    if (claim.accepted) {
+      participant.wins++;
+      // The winner receives the bounty minus the protocol fee
+      participant.earned += BigInt(claim.bounty_amount) - BigInt(claim.fee ?? 0);
+      // Claims accepted before the index kept acceptance times count from
+      // their submission
+      participant.winTimes.push(claim.accepted_at ?? claim.created_at);
+    }
+  }
+  return participants;
+}
+
+function formatParticipant(chain, participant, tokenEarned, token) {
+  const streaks = getWinStreaks(participant.winTimes);
+  const lastWin = participant.winTimes.length
+    ? Math.max(...participant.winTimes)
+    : null;
+  const toIso = (time) => (time ? new Date(time * 1000).toISOString() : null);
+  return {
+    address: participant.address,
+    submissions: participant.submissions,
+    bountiesEntered: participant.bounties.size,
+    wins: participant.wins,
+    acceptanceRate: participant.submissions
+      ? Math.round((participant.wins / participant.submissions) * 1000) / 1000
+      : 0,
+    totalEarned: formatNativeAmount(chain.config, participant.earned),
+    totalEarnedWei: participant.earned.toString(),
+    tokenEarned:
+      token && tokenEarned
+        ? `${ethers.formatUnits(tokenEarned, token.decimals)} ${token.symbol}`
+        : null,
+    longestStreak: streaks.longest,
+    currentStreak: streaks.current,
+    firstSubmissionAt: toIso(participant.firstSubmissionAt),
+    lastSubmissionAt: toIso(participant.lastSubmissionAt),
+    lastWinAt: toIso(lastWin),
+  };
+}
+
+function compareParticipants(sort) {
+  const metric = {
+    wins: (p) => p.wins,
+    earned: (p) => BigInt(p.totalEarnedWei),
+    submissions: (p) => p.submissions,
+    acceptanceRate: (p) => p.acceptanceRate,
+    streak: (p) => p.longestStreak,
+  }[sort];
+
+  return (a, b) => {
+    const first = metric(a);
+    const second = metric(b);
+    if (first !== second) {
+      return first > second ? -1 : 1;
+    }
+    // Ties go to more wins, then fewer submissions, then by address so the
+    // order is stable
+    if (a.wins !== b.wins) {
+      return b.wins - a.wins;
+    }
+    if (a.submissions !== b.submissions) {
+      return a.submissions - b.submissions;
+    }
+    return a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1;
+  };
+}
+
+// Participants of the bot's bounties ranked by `sort` over `period`, from
+// the local event index
+router.get("/leaderboard", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    if (!chain.contractReady) {
+      return res.status(503).json({
+        success: false,
+        error: `Contract on ${chain.config.name} is not initialized yet`,
+      });
+    }
+
+    const periodResult = parseLeaderboardPeriod(req.query.period);
+    if (periodResult.error) {
+      return res.status(400).json({ success: false, error: periodResult.error });
+    }
+    const { error, limit } = parsePageLimit(req.query.limit);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const sort = req.query.sort === undefined ? "wins" : req.query.sort;
+    if (!LEADERBOARD_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: ${LEADERBOARD_SORTS.join(", ")}`,
+      });
+    }
+
+    const claims = await getParticipantClaims(chain, {
+      since: periodResult.since,
+    });
+    const token = await getDisplayToken(chain);
+    // Token payouts are only attributed to a period through its wins
+    const tokenEarnings =
+      periodResult.since === null ? await getTokenEarnings(chain) : new Map();
+
+    const participants = [...summarizeParticipants(claims)]
+      .map(([address, participant]) =>
+        formatParticipant(chain, participant, tokenEarnings.get(address), token)
+      )
+      .sort(compareParticipants(sort));
+
+    res.json({
+      success: true,
+      chain: chain.key,
+      period: periodResult.period,
+      since:
+        periodResult.since === null
+          ? null
+          : new Date(periodResult.since * 1000).toISOString(),
+      sort,
+      totalParticipants: participants.length,
+      totalSubmissions: claims.length,
+      leaderboard: participants
+        .slice(0, limit)
+        .map((participant, index) => ({ rank: index + 1, ...participant })),
+    });
+  } catch (error) {
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch leaderboard",
+    });
+  }
+});
+
+// A participant's record on the bot's bounties and their claims, newest
+// first, paged with `limit` and the `nextCursor` of the previous page
+router.get("/users/:address", async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    if (!chain.contractReady) {
+      return res.status(503).json({
+        success: false,
+        error: `Contract on ${chain.config.name} is not initialized yet`,
+      });
+    }
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({
+        success: false,
+        error: "address must be an address",
+      });
+    }
+    const address = req.params.address.toLowerCase();
+
+    const { error, limit } = parsePageLimit(req.query.limit);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          error: "cursor is invalid",
+        });
+      }
+    }
+
+    const claims = await getParticipantClaims(chain, { address });
+    const participant =
+      summarizeParticipants(claims).get(address) ?? createParticipant(address);
+    const token = await getDisplayToken(chain);
+    const tokenEarnings = await getTokenEarnings(chain, address);
+
+    // Newest first: claims are ordered oldest first, and the cursor is the
+    // creation time and id of the last claim returned
+    const newestFirst = [...claims].reverse();
+    const start = cursor
+      ? newestFirst.findIndex(
+          (claim) =>
+            claim.created_at < cursor.value ||
+            (claim.created_at === cursor.value &&
+              Number(claim.claim_id) < Number(cursor.id))
+        )
+      : 0;
+    const page =
+      start === -1 ? [] : newestFirst.slice(start, start + limit + 1);
+    const hasMore = page.length > limit;
+    const pageClaims = page.slice(0, limit);
+    const last = pageClaims[pageClaims.length - 1];
+
+    const claimIds = pageClaims.map((claim) => claim.claim_id);
+    const verifications = claimIds.length
+      ? await db.all(
+          `SELECT * FROM claims
+           WHERE chain = ? AND claim_id IN (${claimIds.map(() => "?").join(",")})`,
+          [chain.key, ...claimIds]
+        )
+      : [];
+    const verificationsById = Object.fromEntries(
+      verifications.map((claim) => [claim.claim_id, claim])
+    );
+    const payouts = await getPayouts(
+      chain,
+      pageClaims.filter((claim) => claim.accepted).map((claim) => claim.bounty_id)
+    );
+
+    res.json({
+      success: true,
+      user: {
+        chain: chain.key,
+        ...formatParticipant(
+          chain,
+          participant,
+          tokenEarnings.get(address),
+          token
+        ),
+      },
+      claims: pageClaims.map((claim) => {
+        const verification = verificationsById[claim.claim_id];
+        const payout = claim.accepted ? payouts[claim.bounty_id] : null;
+        return {
+          id: claim.claim_id,
+          bountyId: claim.bounty_id,
+          bountyTitle: claim.bounty_name,
+          bountyAmount: formatNativeAmount(chain.config, claim.bounty_amount),
+          poidhUrl: bountyUrl(chain.config, claim.bounty_id),
+          name: claim.name,
+          description: claim.description,
+          imageUrl: verification?.image_url ?? null,
+          score: verification?.score ?? null,
+          threshold: verification?.threshold ?? null,
+          reasoning: verification?.reasoning ?? null,
+          decision: verification?.decision ?? null,
+          fraudFlags: verification?.fraud_flags
+            ? JSON.parse(verification.fraud_flags)
+            : [],
+          outcome: getClaimOutcome(claim),
+          acceptTxHash: claim.accept_tx_hash,
+          explorerUrl: explorerTxUrl(chain.config, claim.accept_tx_hash),
+          tokenPayout: payout ? formatPayout(payout, token) : null,
+          createdAt: new Date(claim.created_at * 1000).toISOString(),
+        };
+      }),
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor({ value: last.created_at, id: last.claim_id })
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch user",
+    });
+  }
+});
+
+export default router;
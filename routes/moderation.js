@@ -0,0 +1,157 @@
+import express from "express";
+import { db } from "../db.js";
+import { getChainFilter } from "../chains.js";
+import { formatModerationFlag } from "../moderation.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Bounties and claims blocked by moderation
+router.get("/moderation/flags", requireApiKey("read"), async (req, res) => {
+  try {
+    const { status = "pending", type } = req.query;
+    if (!["pending", "allowed", "confirmed", "all"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "status must be one of: pending, allowed, confirmed, all",
+      });
+    }
+    if (type !== undefined && !["bounty", "claim"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: "type must be bounty or claim",
+      });
+    }
+    const chainKey = getChainFilter(req, res);
+    if (chainKey === false) {
+      return;
+    }
+
+    const conditions = [];
+    const params = [];
+    if (chainKey) {
+      conditions.push("chain = ?");
+      params.push(chainKey);
+    }
+    if (status !== "all") {
+      conditions.push("status = ?");
+      params.push(status);
+    }
+    if (type) {
+      conditions.push("item_type = ?");
+      params.push(type);
+    }
+
+    const flags = await db.all(
+      `SELECT * FROM moderation_flags
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY id DESC LIMIT 100`,
+      params
+    );
+
+    res.json({
+      success: true,
+      flags: flags.map(formatModerationFlag),
+    });
+  } catch (error) {
+    console.error("Error listing moderation flags:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to list moderation flags",
+    });
+  }
+});
+
+async function getPendingModerationFlag(req, res) {
+  const flag = await db.get("SELECT * FROM moderation_flags WHERE id = ?", [
+    req.params.id,
+  ]);
+
+  if (!flag) {
+    res.status(404).json({ success: false, error: "Flag not found" });
+    return null;
+  }
+  if (flag.status !== "pending") {
+    res.status(409).json({
+      success: false,
+      error: `Flag was already reviewed (status: ${flag.status})`,
+    });
+    return null;
+  }
+  return flag;
+}
+
+async function recordModerationReview(flagId, status, reviewer, note) {
+  await db.run(
+    `UPDATE moderation_flags SET
+       status = ?, reviewer = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, reviewer, note, flagId]
+  );
+}
+
+// Overrule a flag: a bounty goes back to draft and needs approving again,
+// a claim goes to the human review queue instead of being scored
+router.post("/moderation/flags/:id/allow", requireApiKey("admin"), async (req, res) => {
+  try {
+    const flag = await getPendingModerationFlag(req, res);
+    if (!flag) {
+      return;
+    }
+
+    const { reviewer = req.apiKey.name, note = null } = req.body || {};
+    if (flag.item_type === "bounty") {
+      await db.run(
+        `UPDATE bounties SET
+           status = 'draft', moderation_status = 'allowed', publish_error = NULL
+         WHERE id = ? AND status = 'blocked'`,
+        [flag.item_id]
+      );
+    } else {
+      await db.run(
+        `UPDATE claims SET decision = 'pending_review', updated_at = CURRENT_TIMESTAMP
+         WHERE chain = ? AND claim_id = ? AND decision = 'flagged'`,
+        [flag.chain, flag.item_id]
+      );
+    }
+    await recordModerationReview(flag.id, "allowed", reviewer, note);
+    console.log(`Moderation flag ${flag.id} on ${flag.item_type} ${flag.item_id} allowed`);
+
+    const updated = await db.get("SELECT * FROM moderation_flags WHERE id = ?", [
+      flag.id,
+    ]);
+    res.json({ success: true, flag: formatModerationFlag(updated) });
+  } catch (error) {
+    console.error("Error allowing flagged item:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to allow flagged item",
+    });
+  }
+});
+
+// Agree with a flag; the bounty or claim stays blocked
+router.post("/moderation/flags/:id/confirm", requireApiKey("admin"), async (req, res) => {
+  try {
+    const flag = await getPendingModerationFlag(req, res);
+    if (!flag) {
+      return;
+    }
+
+    const { reviewer = req.apiKey.name, note = null } = req.body || {};
+    await recordModerationReview(flag.id, "confirmed", reviewer, note);
+
+    const updated = await db.get("SELECT * FROM moderation_flags WHERE id = ?", [
+      flag.id,
+    ]);
+    res.json({ success: true, flag: formatModerationFlag(updated) });
+  } catch (error) {
+    console.error("Error confirming moderation flag:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to confirm moderation flag",
+    });
+  }
+});
+
+export default router;
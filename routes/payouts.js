@@ -0,0 +1,127 @@
+import express from "express";
+import { db } from "../db.js";
+import { chains, getChainFilter } from "../chains.js";
+import { findTransactionReceipt } from "../tx.js";
+import {
+  formatPayout,
+  getPayoutToken,
+  isPayoutEnabled,
+  processPayouts,
+  settlePayout,
+} from "../payouts.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Token payouts, newest first
+router.get("/payouts", requireApiKey("read"), async (req, res) => {
+  try {
+    const chainKey = getChainFilter(req, res);
+    if (chainKey === false) {
+      return;
+    }
+    const params = [chainKey, chainKey];
+    let where = "WHERE (? IS NULL OR chain = ?)";
+    if (req.query.status) {
+      where += " AND status = ?";
+      params.push(req.query.status);
+    }
+
+    const payouts = await db.all(
+      `SELECT * FROM payouts ${where} ORDER BY id DESC LIMIT 100`,
+      params
+    );
+    const tokens = {};
+    for (const chain of chains.values()) {
+      if (isPayoutEnabled(chain) && chain.contractReady) {
+        tokens[chain.key] = await getPayoutToken(chain);
+      }
+    }
+
+    res.json({
+      success: true,
+      payouts: payouts.map((payout) =>
+        formatPayout(payout, tokens[payout.chain])
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching payouts:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch payouts",
+    });
+  }
+});
+
+// Send a failed payout again, once whoever retries has checked why it failed
+router.post("/payouts/:id/retry", requireApiKey("admin"), async (req, res) => {
+  try {
+    const payout = await db.get(
+      "SELECT * FROM payouts WHERE id = ? AND status = 'failed'",
+      [req.params.id]
+    );
+    const chain = payout && chains.get(payout.chain);
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        error: "No failed payout with that id",
+      });
+    }
+
+    // A second transfer is only safe once the earlier one can no longer be
+    // mined: none of its hashes has a receipt and its nonce was used up
+    if (payout.transaction_id) {
+      if (!chain.contractReady) {
+        return res.status(503).json({
+          success: false,
+          error: `Contract on ${chain.config.name} is not initialized yet`,
+        });
+      }
+      const tx = await db.get("SELECT * FROM transactions WHERE id = ?", [
+        payout.transaction_id,
+      ]);
+      const receipt = await findTransactionReceipt(chain, tx);
+      if (receipt?.status === 1) {
+        await settlePayout(payout, {
+          status: "confirmed",
+          hash: receipt.hash,
+        });
+        return res.status(409).json({
+          success: false,
+          error: `Payout was already sent in ${receipt.hash}`,
+        });
+      }
+      const minedNonce = await chain.provider.getTransactionCount(
+        chain.wallet.address,
+        "latest"
+      );
+      if (
+        tx.status === "pending" ||
+        (tx.status !== "rejected" && !receipt && minedNonce <= tx.nonce)
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: `Transaction ${tx.hash} of this payout is unresolved and may still be mined`,
+        });
+      }
+    }
+
+    await db.run(
+      `UPDATE payouts SET status = 'pending', transaction_id = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [req.params.id]
+    );
+
+    processPayouts(chain);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error retrying payout:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to retry payout",
+    });
+  }
+});
+
+export default router;
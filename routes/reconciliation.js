@@ -0,0 +1,83 @@
+import express from "express";
+import { db } from "../db.js";
+import { getRequestChain } from "../chains.js";
+import { formatBountyDraft } from "../bounties.js";
+import { formatReconciliationRun, reconcileBounties } from "../reconcile.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Latest reconciliation pass and the bounty rows it flagged or imported
+router.get("/reconciliation", requireApiKey("read"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const run = await db.get(
+      "SELECT * FROM reconciliation_runs WHERE chain = ? ORDER BY id DESC LIMIT 1",
+      [chain.key]
+    );
+    const flagged = await db.all(
+      "SELECT * FROM bounties WHERE chain = ? AND reconcile_issue IS NOT NULL ORDER BY id ASC",
+      [chain.key]
+    );
+    const imported = await db.all(
+      "SELECT * FROM bounties WHERE chain = ? AND origin = 'imported' ORDER BY id ASC",
+      [chain.key]
+    );
+
+    res.json({
+      success: true,
+      run: run ? formatReconciliationRun(run) : null,
+      running: chain.isReconciling,
+      orphans: flagged
+        .filter((bounty) => bounty.reconcile_issue === "orphan")
+        .map(formatBountyDraft),
+      duplicates: flagged
+        .filter((bounty) => bounty.reconcile_issue === "duplicate")
+        .map(formatBountyDraft),
+      imported: imported.map(formatBountyDraft),
+    });
+  } catch (error) {
+    console.error("Error fetching reconciliation report:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch reconciliation report",
+    });
+  }
+});
+
+// Reconcile now instead of waiting for the schedule
+router.post("/reconciliation/run", requireApiKey("admin"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    if (!chain.contractReady) {
+      return res.status(503).json({
+        success: false,
+        error: `Contract on ${chain.config.name} is not initialized yet`,
+      });
+    }
+
+    const report = await reconcileBounties(chain);
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        error: "Reconciliation is already running",
+      });
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error("Error running reconciliation:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to run reconciliation",
+    });
+  }
+});
+
+export default router;
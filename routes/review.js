@@ -0,0 +1,166 @@
+import express from "express";
+import { db } from "../db.js";
+import { getRequestChain } from "../chains.js";
+import { getBountySettings } from "../verification.js";
+import {
+  formatClaimRecord,
+  getClaimVotes,
+  recordClaimReview,
+} from "../claims.js";
+import { getActiveVote, settleWinningClaim } from "../judging.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Claims parked for human review, with the image and AI reasoning
+router.get("/review/pending", requireApiKey("read"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const claims = await db.all(
+      `SELECT claims.*, bounties.title AS bounty_title, bounties.description AS bounty_description
+       FROM claims
+       LEFT JOIN bounties
+         ON bounties.chain = claims.chain
+         AND bounties.contract_bounty_id = claims.bounty_id
+       WHERE claims.chain = ? AND claims.decision = 'pending_review'
+       ORDER BY claims.claim_created_at ASC`,
+      [chain.key]
+    );
+    const votes = await getClaimVotes(
+      chain,
+      claims.map((c) => c.claim_id)
+    );
+
+    res.json({
+      success: true,
+      claims: claims.map((claim) => ({
+        ...formatClaimRecord(claim, votes[claim.claim_id]),
+        bountyTitle: claim.bounty_title,
+        bountyDescription: claim.bounty_description,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching pending reviews:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch pending reviews",
+    });
+  }
+});
+
+async function getPendingReviewClaim(chain, req, res) {
+  const claim = await db.get(
+    "SELECT * FROM claims WHERE chain = ? AND claim_id = ?",
+    [chain.key, req.params.id]
+  );
+
+  if (!claim) {
+    res.status(404).json({ success: false, error: "Claim not found" });
+    return null;
+  }
+  if (claim.decision !== "pending_review") {
+    res.status(409).json({
+      success: false,
+      error: `Claim is not pending review (decision: ${claim.decision})`,
+    });
+    return null;
+  }
+  return claim;
+}
+
+// Approve a parked claim: settle it on-chain, or shortlist it for judging
+router.post("/review/claims/:id/approve", requireApiKey("admin"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const claim = await getPendingReviewClaim(chain, req, res);
+    if (!claim) {
+      return;
+    }
+
+    const { reviewer = req.apiKey.name, note = null } = req.body || {};
+    const { judgingStrategy } = await getBountySettings(chain, claim.bounty_id);
+
+    if (
+      judgingStrategy === "best-score" ||
+      (await getActiveVote(chain, claim.bounty_id))
+    ) {
+      await recordClaimReview(
+        chain,
+        claim.claim_id,
+        "shortlisted",
+        reviewer,
+        note
+      );
+      return res.json({
+        success: true,
+        claimId: claim.claim_id,
+        decision: "shortlisted",
+      });
+    }
+
+    const result = await settleWinningClaim(
+      chain,
+      claim.bounty_id,
+      claim.claim_id
+    );
+    await recordClaimReview(
+      chain,
+      claim.claim_id,
+      result.decision,
+      reviewer,
+      note
+    );
+    console.log(`Claim #${claim.claim_id} approved by reviewer`);
+
+    res.json({
+      success: true,
+      claimId: claim.claim_id,
+      decision: result.decision,
+      transactionHash: result.transactionHash,
+    });
+  } catch (error) {
+    console.error("Error approving claim:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to approve claim",
+    });
+  }
+});
+
+// Reject a parked claim with a reviewer note
+router.post("/review/claims/:id/reject", requireApiKey("admin"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    const claim = await getPendingReviewClaim(chain, req, res);
+    if (!claim) {
+      return;
+    }
+
+    const { reviewer = req.apiKey.name, note = null } = req.body || {};
+    await recordClaimReview(chain, claim.claim_id, "rejected", reviewer, note);
+    console.log(`Claim #${claim.claim_id} rejected by reviewer`);
+
+    res.json({
+      success: true,
+      claimId: claim.claim_id,
+      decision: "rejected",
+    });
+  } catch (error) {
+    console.error("Error rejecting claim:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to reject claim",
+    });
+  }
+});
+
+export default router;
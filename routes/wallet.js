@@ -0,0 +1,113 @@
+import express from "express";
+import { db } from "../db.js";
+import {
+  CHAIN_REGISTRY,
+  explorerTxUrl,
+  formatNativeAmount,
+  getChainFilter,
+  getRequestChain,
+} from "../chains.js";
+import { getSpendingStatus } from "../spending.js";
+import { requireApiKey } from "../auth.js";
+
+const router = express.Router();
+
+// Bot wallet balance, spend to date and remaining budget
+router.get("/wallet", requireApiKey("read"), async (req, res) => {
+  try {
+    const chain = getRequestChain(req, res);
+    if (!chain) {
+      return;
+    }
+    if (!chain.contractReady) {
+      return res.status(503).json({
+        success: false,
+        error: `Contract on ${chain.config.name} is not initialized yet`,
+      });
+    }
+
+    const status = await getSpendingStatus(chain);
+    const format = (wei) => formatNativeAmount(chain.config, wei);
+    const formatWindow = (window) => ({
+      spent: format(window.spent),
+      cap: window.cap === null ? null : format(window.cap),
+      remaining: window.remaining === null ? null : format(window.remaining),
+    });
+
+    res.json({
+      success: true,
+      wallet: {
+        chain: chain.key,
+        address: chain.wallet.address,
+        balance: format(status.balance),
+        balanceWei: status.balance.toString(),
+        minBalance: format(chain.config.minBalance),
+        belowMinBalance: status.balance < chain.config.minBalance,
+        daily: formatWindow(status.daily),
+        weekly: formatWindow(status.weekly),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching wallet status:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch wallet status",
+    });
+  }
+});
+
+// Transactions sent by the bot, newest first
+router.get("/transactions", requireApiKey("admin"), async (req, res) => {
+  try {
+    const chainKey = getChainFilter(req, res);
+    if (chainKey === false) {
+      return;
+    }
+    const params = [chainKey, chainKey];
+    let where = "WHERE (? IS NULL OR chain = ?)";
+    if (req.query.status) {
+      where += " AND status = ?";
+      params.push(req.query.status);
+    }
+
+    const transactions = await db.all(
+      `SELECT * FROM transactions ${where} ORDER BY id DESC LIMIT 100`,
+      params
+    );
+
+    res.json({
+      success: true,
+      transactions: transactions.map((tx) => ({
+        id: tx.id,
+        chain: tx.chain,
+        method: tx.method,
+        args: tx.args ? JSON.parse(tx.args) : [],
+        value: tx.value,
+        nonce: tx.nonce,
+        hash: tx.hash,
+        explorerUrl: explorerTxUrl(CHAIN_REGISTRY[tx.chain], tx.hash),
+        previousHashes: JSON.parse(tx.previous_hashes),
+        bumps: tx.bumps,
+        status: tx.status,
+        gasLimit: tx.gas_limit,
+        maxFeePerGas: tx.max_fee_per_gas,
+        maxPriorityFeePerGas: tx.max_priority_fee_per_gas,
+        gasPrice: tx.gas_price,
+        gasUsed: tx.gas_used,
+        gasCost: tx.gas_cost,
+        blockNumber: tx.block_number,
+        error: tx.error,
+        sentAt: tx.sent_at,
+        confirmedAt: tx.confirmed_at,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching transactions:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to fetch transactions",
+    });
+  }
+});
+
+export default router;
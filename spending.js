@@ -0,0 +1,91 @@
+import { SPEND_CONFIG } from "./config.js";
+import { db } from "./db.js";
+import { formatNativeAmount } from "./chains.js";
+
+// Spending safeguards
+
+// Wei spent on the chain by transactions sent since the given SQLite
+// datetime modifier; pending transactions count at their worst-case cost
+async function getSpentSince(chain, modifier) {
+  const rows = await db.all(
+    `SELECT status, value, gas_limit, gas_cost, max_fee_per_gas, gas_price
+     FROM transactions
+     WHERE chain = ? AND sent_at >= datetime('now', ?)`,
+    [chain.key, modifier]
+  );
+
+  return rows.reduce((total, tx) => {
+    if (tx.status === "pending") {
+      const fee = BigInt(tx.max_fee_per_gas ?? tx.gas_price ?? 0);
+      return total + BigInt(tx.value) + BigInt(tx.gas_limit) * fee;
+    }
+    // A reverted transaction only burns its gas
+    const value = tx.status === "confirmed" ? BigInt(tx.value) : 0n;
+    return total + value + BigInt(tx.gas_cost ?? 0);
+  }, 0n);
+}
+
+export async function getSpendingStatus(chain) {
+  const [balance, dailySpent, weeklySpent] = await Promise.all([
+    chain.provider.getBalance(chain.wallet.address),
+    getSpentSince(chain, "-1 day"),
+    getSpentSince(chain, "-7 days"),
+  ]);
+
+  const window = (spent, cap) => ({
+    spent,
+    cap,
+    remaining: cap === null ? null : cap > spent ? cap - spent : 0n,
+  });
+
+  return {
+    balance,
+    daily: window(dailySpent, chain.config.dailySpendCap),
+    weekly: window(weeklySpent, chain.config.weeklySpendCap),
+  };
+}
+
+// Returns why spending `cost` wei on the chain right now is not allowed, or
+// null if it is
+export async function checkSpendingLimits(chain, cost) {
+  const status = await getSpendingStatus(chain);
+
+  if (status.balance - cost < chain.config.minBalance) {
+    return `Wallet balance ${formatNativeAmount(chain.config, status.balance)} on ${chain.config.name} would drop below the ${formatNativeAmount(chain.config, chain.config.minBalance)} floor`;
+  }
+
+  for (const [period, window] of [
+    ["Daily", status.daily],
+    ["Weekly", status.weekly],
+  ]) {
+    if (window.cap !== null && window.spent + cost > window.cap) {
+      return `${period} spend cap of ${formatNativeAmount(chain.config, window.cap)} on ${chain.config.name} would be exceeded (${formatNativeAmount(chain.config, window.spent)} spent)`;
+    }
+  }
+
+  return null;
+}
+
+export function spendLimitError(message) {
+  const error = new Error(message);
+  error.code = "SPEND_LIMIT";
+  return error;
+}
+
+// Log an alert and forward it to the webhook, if one is configured
+export async function sendAlert(message) {
+  console.error(`ALERT: ${message}`);
+  if (!SPEND_CONFIG.alertWebhookUrl) {
+    return;
+  }
+
+  try {
+    await fetch(SPEND_CONFIG.alertWebhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: message, content: message }),
+    });
+  } catch (error) {
+    console.error("Error sending alert:", error.message);
+  }
+}
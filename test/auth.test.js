@@ -0,0 +1,97 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { API_CONFIG } from "../config.js";
+import { db, dbReady } from "../db.js";
+import { beginIdempotentRequest, linkIdempotentRequest } from "../auth.js";
+
+const API_KEY_ID = 9001;
+
+function createRequest(body = { type: "solo" }, key = "key-1") {
+  return {
+    apiKey: { id: API_KEY_ID },
+    body,
+    get: (header) => (header === "Idempotency-Key" ? key : undefined),
+  };
+}
+
+// Records the response a handler sends
+function createResponse() {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+}
+
+function expireKey() {
+  return db.run(
+    "UPDATE idempotency_keys SET started_at = datetime('now', ?) WHERE api_key_id = ?",
+    [`-${API_CONFIG.idempotencyPendingMinutes + 1} minutes`, API_KEY_ID]
+  );
+}
+
+describe("beginIdempotentRequest", () => {
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM idempotency_keys WHERE api_key_id = ?", [
+      API_KEY_ID,
+    ]);
+  });
+
+  test("a key can't be reused for a different request", async () => {
+    const finish = await beginIdempotentRequest(createRequest(), createResponse());
+    await finish(200, { success: true });
+
+    const res = createResponse();
+    const again = await beginIdempotentRequest(
+      createRequest({ type: "open" }),
+      res
+    );
+
+    expect(again).toBeNull();
+    expect(res.statusCode).toBe(422);
+  });
+
+  test("a request left in progress frees its key once it expires", async () => {
+    await beginIdempotentRequest(createRequest(), createResponse());
+
+    const res = createResponse();
+    expect(await beginIdempotentRequest(createRequest(), res)).toBeNull();
+    expect(res.statusCode).toBe(409);
+
+    await expireKey();
+    expect(
+      await beginIdempotentRequest(createRequest(), createResponse())
+    ).toBeFunction();
+  });
+
+  test("a request that created a bounty keeps its key", async () => {
+    const req = createRequest();
+    await beginIdempotentRequest(req, createResponse());
+    await linkIdempotentRequest(req, 12);
+    await expireKey();
+
+    const res = createResponse();
+    expect(await beginIdempotentRequest(createRequest(), res)).toBeNull();
+    expect(res.statusCode).toBe(409);
+  });
+
+  test("an error stored as not retryable is replayed", async () => {
+    const finish = await beginIdempotentRequest(createRequest(), createResponse());
+    await finish(500, { success: false, draftId: 12 }, { retryable: false });
+
+    const res = createResponse();
+    expect(await beginIdempotentRequest(createRequest(), res)).toBeNull();
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ success: false, draftId: 12 });
+    expect(res.headers["Idempotent-Replayed"]).toBe("true");
+  });
+});
@@ -0,0 +1,98 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ethers } from "ethers";
+import abi from "../abi.ts";
+import { db, dbReady } from "../db.js";
+import { resolveUnconfirmedBounties } from "../bounties.js";
+import { BOT_ADDRESS, createTestChain } from "./helpers.js";
+
+const CHAIN_KEY = "bounties-test";
+const TX_HASH = `0x${"ab".repeat(32)}`;
+
+// A receipt for the stored publish transaction: `receipt` is null while it
+// hasn't been mined
+function createPublishChain(receipt) {
+  return createTestChain(CHAIN_KEY, {
+    contractReady: true,
+    provider: {
+      getTransactionReceipt: async (hash) =>
+        hash === TX_HASH ? receipt : null,
+    },
+  });
+}
+
+function bountyCreatedLog(bountyId) {
+  const iface = new ethers.Interface(abi);
+  return iface.encodeEventLog("BountyCreated", [
+    bountyId,
+    BOT_ADDRESS,
+    "Hat",
+    "Wear a hat",
+    ethers.parseEther("1"),
+    1700000000n,
+  ]);
+}
+
+async function insertUnconfirmedBounty(txStatus) {
+  const { lastID: txId } = await db.run(
+    `INSERT INTO transactions (chain, method, args, to_address, data, value, nonce, gas_limit, hash, status)
+     VALUES (?, 'createSoloBounty', '[]', '0x00', '0x', ?, 0, '21000', ?, ?)`,
+    [CHAIN_KEY, ethers.parseEther("1").toString(), TX_HASH, txStatus]
+  );
+  const { lastID } = await db.run(
+    `INSERT INTO bounties (chain, title, description, status, publish_transaction_id, window_hours)
+     VALUES (?, 'Hat', 'Wear a hat', 'unconfirmed', ?, 24)`,
+    [CHAIN_KEY, txId]
+  );
+  return lastID;
+}
+
+function getBounty(id) {
+  return db.get(
+    "SELECT status, contract_bounty_id, reward FROM bounties WHERE id = ?",
+    [id]
+  );
+}
+
+describe("resolveUnconfirmedBounties", () => {
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM bounties WHERE chain = ?", [CHAIN_KEY]);
+    await db.run("DELETE FROM transactions WHERE chain = ?", [CHAIN_KEY]);
+  });
+
+  test("a mined publish is recorded as published", async () => {
+    const id = await insertUnconfirmedBounty("confirmed");
+
+    await resolveUnconfirmedBounties(
+      createPublishChain({
+        status: 1,
+        hash: TX_HASH,
+        logs: [bountyCreatedLog(7n)],
+      })
+    );
+
+    expect(await getBounty(id)).toEqual({
+      status: "published",
+      contract_bounty_id: "7",
+      reward: "1.0",
+    });
+  });
+
+  test("a publish stays unconfirmed while its transaction is pending", async () => {
+    const id = await insertUnconfirmedBounty("pending");
+
+    await resolveUnconfirmedBounties(createPublishChain(null));
+
+    expect((await getBounty(id)).status).toBe("unconfirmed");
+  });
+
+  test("a reverted publish can be published again", async () => {
+    const id = await insertUnconfirmedBounty("pending");
+
+    await resolveUnconfirmedBounties(
+      createPublishChain({ status: 0, hash: TX_HASH, logs: [] })
+    );
+
+    expect((await getBounty(id)).status).toBe("failed");
+  });
+});
@@ -0,0 +1,213 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ethers } from "ethers";
+import { LISTENER_CONFIG } from "../config.js";
+import { db, dbReady } from "../db.js";
+import { processClaimEvent, retryFailedClaims } from "../claims.js";
+import { BOT_ADDRESS, contractEvent, createTestChain } from "./helpers.js";
+
+const CHAIN_KEY = "claims-test";
+
+function claimCreated(
+  claimId,
+  issuer = "0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0"
+) {
+  return contractEvent("ClaimCreated", {
+    id: BigInt(claimId),
+    issuer,
+    bountyId: 3n,
+    bountyIssuer: BOT_ADDRESS,
+    name: "Hat",
+    description: "Here it is",
+    createdAt: 1700000000n,
+  });
+}
+
+// bounties() fails until the RPC is back, then reports the bounty settled so
+// a retry finishes without verifying
+function createClaimsChain() {
+  const chain = createTestChain(CHAIN_KEY, { contractReady: true });
+  chain.rpcDown = true;
+  chain.contract = {
+    bounties: async () => {
+      if (chain.rpcDown) {
+        throw new Error("RPC unavailable");
+      }
+      return { claimer: BOT_ADDRESS };
+    },
+  };
+  return chain;
+}
+
+function getClaim(claimId) {
+  return db.get(
+    "SELECT decision, attempts, error FROM claims WHERE chain = ? AND claim_id = ?",
+    [CHAIN_KEY, String(claimId)]
+  );
+}
+
+describe("claim retries", () => {
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM claims WHERE chain = ?", [CHAIN_KEY]);
+  });
+
+  test("a claim that fails to process is kept for a retry", async () => {
+    await processClaimEvent(createClaimsChain(), claimCreated(1));
+
+    expect(await getClaim(1)).toEqual({
+      decision: "retry",
+      attempts: 1,
+      error: "RPC unavailable",
+    });
+  });
+
+  test("a claim is given up on after its last attempt", async () => {
+    const chain = createClaimsChain();
+    for (let i = 0; i < LISTENER_CONFIG.maxClaimAttempts; i++) {
+      await processClaimEvent(chain, claimCreated(2));
+    }
+
+    expect(await getClaim(2)).toMatchObject({
+      decision: "error",
+      attempts: LISTENER_CONFIG.maxClaimAttempts,
+    });
+  });
+
+  test("failed claims are processed again once they've waited", async () => {
+    const chain = createClaimsChain();
+    await processClaimEvent(chain, claimCreated(3));
+    chain.rpcDown = false;
+
+    await retryFailedClaims(chain);
+    expect((await getClaim(3)).decision).toBe("retry");
+
+    await db.run(
+      "UPDATE claims SET updated_at = datetime('now', ?) WHERE chain = ?",
+      [`-${LISTENER_CONFIG.claimRetryMinutes} minutes`, CHAIN_KEY]
+    );
+    await retryFailedClaims(chain);
+    expect((await getClaim(3)).decision).toBe("skipped");
+  });
+
+  test("a claim that can't be stored fails the chunk", async () => {
+    // claims.claimer is NOT NULL
+    const event = claimCreated(4, null);
+
+    await expect(
+      processClaimEvent(createClaimsChain(), event)
+    ).rejects.toThrow();
+  });
+});
+
+describe("claim acceptance retries", () => {
+  const CLAIM_ID = "5";
+
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM claims WHERE chain = ?", [CHAIN_KEY]);
+    await db.run("DELETE FROM transactions WHERE chain = ?", [CHAIN_KEY]);
+    await db.run(
+      `INSERT INTO claims (chain, claim_id, bounty_id, claimer, decision, attempts, updated_at)
+       VALUES (?, ?, '3', ?, 'accept_failed', 1, datetime('now', ?))`,
+      [
+        CHAIN_KEY,
+        CLAIM_ID,
+        BOT_ADDRESS,
+        `-${LISTENER_CONFIG.claimRetryMinutes} minutes`,
+      ]
+    );
+  });
+
+  // The earlier acceptClaim went through: the bounty is paid to this claim
+  function createAcceptedChain() {
+    const chain = createTestChain(CHAIN_KEY, { contractReady: true });
+    chain.contract = {
+      bounties: async () => ({
+        issuer: BOT_ADDRESS,
+        claimer: "0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0",
+        claimId: BigInt(CLAIM_ID),
+      }),
+    };
+    return chain;
+  }
+
+  async function recordAcceptTransaction(status) {
+    await db.run(
+      `INSERT INTO transactions (chain, method, args, to_address, data, nonce, gas_limit, hash, status)
+       VALUES (?, 'acceptClaim', ?, '0x00', '0x', 0, '21000', '0xaccept', ?)`,
+      [CHAIN_KEY, JSON.stringify(["3", CLAIM_ID]), status]
+    );
+  }
+
+  test("a claim accepted despite the error is recorded as approved", async () => {
+    await recordAcceptTransaction("confirmed");
+
+    await retryFailedClaims(createAcceptedChain());
+
+    expect(
+      await db.get(
+        "SELECT decision, accept_tx_hash FROM claims WHERE chain = ? AND claim_id = ?",
+        [CHAIN_KEY, CLAIM_ID]
+      )
+    ).toEqual({ decision: "approved", accept_tx_hash: "0xaccept" });
+  });
+
+  test("a claim waits while its accept transaction is pending", async () => {
+    await recordAcceptTransaction("pending");
+
+    await retryFailedClaims(createAcceptedChain());
+
+    expect(await getClaim(CLAIM_ID)).toMatchObject({
+      decision: "accept_failed",
+      attempts: 1,
+    });
+  });
+});
+
+describe("claim verification failures", () => {
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM claims WHERE chain = ?", [CHAIN_KEY]);
+    await db.run("DELETE FROM chain_claims WHERE chain = ?", [CHAIN_KEY]);
+  });
+
+  // An unsettled bounty; the provider can't serve tokenURI() calls
+  function createVerifyingChain() {
+    const chain = createTestChain(CHAIN_KEY, { contractReady: true });
+    chain.contract = {
+      bounties: async () => ({
+        claimer: ethers.ZeroAddress,
+        name: "Hat",
+        description: "Wear a hat",
+        createdAt: 1700000000n,
+      }),
+    };
+    return chain;
+  }
+
+  test("a claim that can't be fetched is kept for a retry", async () => {
+    await processClaimEvent(createVerifyingChain(), claimCreated(6));
+
+    expect(await getClaim(6)).toMatchObject({ decision: "retry", attempts: 1 });
+  });
+
+  test("a claim without an image is not retried", async () => {
+    await db.run(
+      `INSERT INTO chain_claims (chain, claim_id, bounty_id, issuer, token_uri)
+       VALUES (?, '7', '3', ?, ?)`,
+      [
+        CHAIN_KEY,
+        BOT_ADDRESS,
+        `data:application/json,${encodeURIComponent('{"name":"c"}')}`,
+      ]
+    );
+
+    await processClaimEvent(createVerifyingChain(), claimCreated(7));
+
+    expect(await getClaim(7)).toMatchObject({
+      decision: "error",
+      attempts: 0,
+      error: "No image URL found in NFT metadata",
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, test } from "bun:test";
+import { fetchContent } from "../gateway.js";
+
+describe("fetchContent", () => {
+  test("refuses URLs on loopback and private addresses", async () => {
+    for (const url of [
+      "http://127.0.0.1:8545/",
+      "http://localhost/metadata.json",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://10.0.0.5/image.png",
+      "http://[::1]/image.png",
+      "http://[::ffff:192.168.1.1]/image.png",
+    ]) {
+      await expect(fetchContent(url)).rejects.toThrow("private address");
+    }
+  });
+
+  test("refuses unsupported URI schemes", async () => {
+    await expect(fetchContent("file:///etc/passwd")).rejects.toThrow(
+      "Unsupported content URI"
+    );
+  });
+
+  test("reads data URIs", async () => {
+    const content = await fetchContent(
+      `data:application/json,${encodeURIComponent('{"image":"x"}')}`
+    );
+    expect(content.body.toString()).toBe('{"image":"x"}');
+  });
+});
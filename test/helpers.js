@@ -0,0 +1,44 @@
+import { ethers } from "ethers";
+import { CHAIN_REGISTRY } from "../chains.js";
+
+export const BOT_ADDRESS = "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1";
+
+// A chain runtime object as chains.js builds it, without a live provider.
+// The contract is left unready so payouts are queued but never sent.
+export function createTestChain(key, { config = {}, ...overrides } = {}) {
+  return {
+    key,
+    config: { ...CHAIN_REGISTRY.degen, key, ...config },
+    provider: {
+      getBalance: async () => ethers.parseEther("100"),
+      getBlock: async (blockNumber) => ({
+        number: blockNumber,
+        timestamp: 1700000000 + blockNumber * 2,
+      }),
+    },
+    wallet: { address: BOT_ADDRESS },
+    contract: null,
+    contractReady: false,
+    nextNonce: null,
+    txQueue: Promise.resolve(),
+    payoutStartBlock: null,
+    payoutToken: null,
+    isProcessingPayouts: false,
+    ...overrides,
+  };
+}
+
+// A decoded contract log as queryFilter returns it
+export function contractEvent(
+  eventName,
+  args,
+  { blockNumber = 10, transactionHash = "0x01", index = 0 } = {}
+) {
+  return {
+    eventName,
+    blockNumber,
+    transactionHash,
+    index,
+    args: { ...args, toObject: () => args },
+  };
+}
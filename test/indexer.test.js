@@ -0,0 +1,166 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ethers } from "ethers";
+import { db, dbReady } from "../db.js";
+import { indexContractEvent } from "../indexer.js";
+import { BOT_ADDRESS, contractEvent, createTestChain } from "./helpers.js";
+
+const CHAIN_KEY = "indexer-test";
+const WINNER = "0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0";
+const PARTICIPANT = "0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b";
+
+const bountyCreated = contractEvent(
+  "BountyCreated",
+  {
+    id: 7n,
+    issuer: BOT_ADDRESS,
+    name: "Top hat",
+    description: "Wear a top hat",
+    amount: ethers.parseEther("1"),
+    createdAt: 1700000000n,
+  },
+  { transactionHash: "0x0a" }
+);
+const claimCreated = contractEvent(
+  "ClaimCreated",
+  {
+    id: 70n,
+    issuer: WINNER,
+    bountyId: 7n,
+    bountyIssuer: BOT_ADDRESS,
+    name: "Hat",
+    description: "Here it is",
+    createdAt: 1700000100n,
+  },
+  { transactionHash: "0x0b" }
+);
+const claimAccepted = contractEvent(
+  "ClaimAccepted",
+  {
+    bountyId: 7n,
+    claimId: 70n,
+    claimIssuer: WINNER,
+    bountyIssuer: BOT_ADDRESS,
+    fee: 0n,
+  },
+  { transactionHash: "0x0c" }
+);
+
+// Payouts are on, but the token lookup fails until payoutToken is set
+function createIndexerChain() {
+  const chain = createTestChain(CHAIN_KEY, {
+    config: {
+      payoutTokenAddress: "0x0000000000000000000000000000000000007070",
+      payoutTokenAmount: "10",
+    },
+    payoutStartBlock: 0,
+  });
+  chain.wallet = {
+    address: BOT_ADDRESS,
+    call: async () => {
+      throw new Error("RPC unavailable");
+    },
+  };
+  return chain;
+}
+
+function getEvent(txHash) {
+  return db.get(
+    "SELECT * FROM chain_events WHERE chain = ? AND tx_hash = ?",
+    [CHAIN_KEY, txHash]
+  );
+}
+
+function getPayouts() {
+  return db.all("SELECT * FROM payouts WHERE chain = ?", [CHAIN_KEY]);
+}
+
+describe("indexContractEvent", () => {
+  beforeEach(async () => {
+    await dbReady;
+    for (const table of [
+      "chain_events",
+      "chain_bounties",
+      "chain_claims",
+      "payouts",
+    ]) {
+      await db.run(`DELETE FROM ${table} WHERE chain = ?`, [CHAIN_KEY]);
+    }
+  });
+
+  test("replaying an acceptance that failed part-way applies it", async () => {
+    const chain = createIndexerChain();
+    await indexContractEvent(chain, bountyCreated);
+    await indexContractEvent(chain, claimCreated);
+
+    await expect(indexContractEvent(chain, claimAccepted)).rejects.toThrow(
+      "RPC unavailable"
+    );
+    expect((await getEvent("0x0c")).applied).toBe(0);
+    expect(await getPayouts()).toHaveLength(0);
+
+    chain.payoutToken = { contract: null, decimals: 18, symbol: "TEST" };
+    await indexContractEvent(chain, claimAccepted);
+
+    expect((await getEvent("0x0c")).applied).toBe(1);
+    expect(
+      await db.get(
+        "SELECT status, winner, winning_claim_id FROM chain_bounties WHERE chain = ? AND bounty_id = '7'",
+        [CHAIN_KEY]
+      )
+    ).toEqual({ status: "accepted", winner: WINNER, winning_claim_id: "70" });
+    expect(
+      await db.get(
+        "SELECT accepted, accept_tx_hash, accepted_at FROM chain_claims WHERE chain = ? AND claim_id = '70'",
+        [CHAIN_KEY]
+      )
+    ).toEqual({ accepted: 1, accept_tx_hash: "0x0c", accepted_at: 1700000020 });
+    expect(await getPayouts()).toHaveLength(1);
+  });
+
+  test("replaying an applied event changes nothing", async () => {
+    const chain = createIndexerChain();
+    chain.payoutToken = { contract: null, decimals: 18, symbol: "TEST" };
+    for (const event of [bountyCreated, claimCreated, claimAccepted]) {
+      await indexContractEvent(chain, event);
+    }
+    for (const event of [bountyCreated, claimCreated, claimAccepted]) {
+      await indexContractEvent(chain, event);
+    }
+
+    expect(
+      (
+        await db.get(
+          "SELECT COUNT(*) AS count FROM chain_events WHERE chain = ?",
+          [CHAIN_KEY]
+        )
+      ).count
+    ).toBe(3);
+    expect(await getPayouts()).toHaveLength(1);
+  });
+
+  test("counts a replayed deposit once", async () => {
+    const chain = createIndexerChain();
+    const joined = contractEvent(
+      "BountyJoined",
+      {
+        bountyId: 7n,
+        participant: PARTICIPANT,
+        amount: ethers.parseEther("2"),
+      },
+      { transactionHash: "0x0d" }
+    );
+    await indexContractEvent(chain, bountyCreated);
+    await indexContractEvent(chain, joined);
+    await db.run(
+      "UPDATE chain_events SET applied = 0 WHERE chain = ? AND tx_hash = '0x0d'",
+      [CHAIN_KEY]
+    );
+    await indexContractEvent(chain, joined);
+
+    const { amount } = await db.get(
+      "SELECT amount FROM chain_bounties WHERE chain = ? AND bounty_id = '7'",
+      [CHAIN_KEY]
+    );
+    expect(amount).toBe(ethers.parseEther("3").toString());
+  });
+});
@@ -0,0 +1,47 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { db, dbReady } from "../db.js";
+import { expireUnclaimedBounties } from "../judging.js";
+import { BOT_ADDRESS, createTestChain } from "./helpers.js";
+
+const CHAIN_KEY = "judging-test";
+
+// Every bounty reads as paid out, so expiry checks it but never cancels
+function createExpiryChain() {
+  const checked = [];
+  const chain = createTestChain(CHAIN_KEY, { contractReady: true });
+  chain.contract = {
+    bounties: async (bountyId) => {
+      checked.push(String(bountyId));
+      return {
+        issuer: BOT_ADDRESS,
+        claimer: "0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0",
+      };
+    },
+  };
+  return { chain, checked };
+}
+
+function insertExpiredBounty(contractBountyId, origin = null) {
+  return db.run(
+    `INSERT INTO bounties (chain, title, description, contract_bounty_id, status, origin, deadline)
+     VALUES (?, 'Hat', 'Wear a hat', ?, 'published', ?, datetime('now', '-2 days'))`,
+    [CHAIN_KEY, contractBountyId, origin]
+  );
+}
+
+describe("expireUnclaimedBounties", () => {
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM bounties WHERE chain = ?", [CHAIN_KEY]);
+  });
+
+  test("leaves bounties imported by reconciliation alone", async () => {
+    await insertExpiredBounty("1");
+    await insertExpiredBounty("2", "imported");
+    const { chain, checked } = createExpiryChain();
+
+    await expireUnclaimedBounties(chain);
+
+    expect(checked).toEqual(["1"]);
+  });
+});
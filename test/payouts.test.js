@@ -0,0 +1,93 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { db, dbReady } from "../db.js";
+import { queuePayout } from "../payouts.js";
+import { BOT_ADDRESS, contractEvent, createTestChain } from "./helpers.js";
+
+const CHAIN_KEY = "payouts-test";
+const WINNER = "0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0";
+
+function createPayoutChain(overrides = {}) {
+  return createTestChain(CHAIN_KEY, {
+    config: {
+      payoutTokenAddress: "0x0000000000000000000000000000000000007070",
+      payoutTokenAmount: "10",
+    },
+    payoutStartBlock: 5,
+    payoutToken: { contract: null, decimals: 18, symbol: "TEST" },
+    ...overrides,
+  });
+}
+
+function claimAccepted(
+  bountyId,
+  { bountyIssuer = BOT_ADDRESS, ...event } = {}
+) {
+  const args = {
+    bountyId: BigInt(bountyId),
+    claimId: BigInt(bountyId) + 100n,
+    claimIssuer: WINNER,
+    bountyIssuer,
+    fee: 0n,
+  };
+  return [contractEvent("ClaimAccepted", args, event), args];
+}
+
+function getPayouts() {
+  return db.all("SELECT * FROM payouts WHERE chain = ?", [CHAIN_KEY]);
+}
+
+describe("queuePayout", () => {
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM payouts WHERE chain = ?", [CHAIN_KEY]);
+  });
+
+  test("queues one payout per bounty however often it's called", async () => {
+    const chain = createPayoutChain();
+    const [event, args] = claimAccepted(1);
+
+    await queuePayout(chain, event, args);
+    await queuePayout(chain, event, args);
+    await queuePayout(chain, { ...event, transactionHash: "0x02" }, args);
+
+    const payouts = await getPayouts();
+    expect(payouts).toHaveLength(1);
+    expect(payouts[0]).toMatchObject({
+      bounty_id: "1",
+      claim_id: "101",
+      recipient: WINNER,
+      amount: "10000000000000000000",
+      status: "pending",
+      accept_tx_hash: "0x01",
+    });
+  });
+
+  test("skips bounties the bot didn't issue", async () => {
+    const chain = createPayoutChain();
+    const [event, args] = claimAccepted(2, { bountyIssuer: WINNER });
+
+    await queuePayout(chain, event, args);
+
+    expect(await getPayouts()).toHaveLength(0);
+  });
+
+  test("skips acceptances from before payouts were enabled", async () => {
+    const chain = createPayoutChain();
+    const [event, args] = claimAccepted(3, { blockNumber: 4 });
+
+    await queuePayout(chain, event, args);
+
+    expect(await getPayouts()).toHaveLength(0);
+  });
+
+  test("does nothing when payouts are off", async () => {
+    const chain = createPayoutChain({
+      config: { payoutTokenAddress: null, payoutTokenAmount: null },
+    });
+    const [event, args] = claimAccepted(4);
+
+    await queuePayout(chain, event, args);
+
+    expect(await getPayouts()).toHaveLength(0);
+  });
+});
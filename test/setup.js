@@ -0,0 +1,2 @@
+// Tests run against a throwaway database instead of bounties.db
+process.env.DB_PATH = ":memory:";
@@ -0,0 +1,119 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ethers } from "ethers";
+import { db, dbReady } from "../db.js";
+import { checkSpendingLimits } from "../spending.js";
+import { createTestChain } from "./helpers.js";
+
+const CHAIN_KEY = "spending-test";
+
+function recordTransaction({
+  status,
+  value = "0",
+  gasLimit = "21000",
+  gasCost = null,
+  maxFeePerGas = null,
+  // SQLite datetime modifier applied to now
+  sentAt = "+0 seconds",
+}) {
+  return db.run(
+    `INSERT INTO transactions
+       (chain, method, to_address, data, value, nonce, gas_limit, gas_cost, max_fee_per_gas, hash, status, sent_at)
+     VALUES (?, 'createSoloBounty', '0x0', '0x', ?, 0, ?, ?, ?, '0x0', ?, datetime('now', ?))`,
+    [CHAIN_KEY, value, gasLimit, gasCost, maxFeePerGas, status, sentAt]
+  );
+}
+
+function createCappedChain(config) {
+  return createTestChain(CHAIN_KEY, {
+    config: {
+      dailySpendCap: null,
+      weeklySpendCap: null,
+      minBalance: 0n,
+      ...config,
+    },
+  });
+}
+
+describe("checkSpendingLimits", () => {
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM transactions WHERE chain = ?", [CHAIN_KEY]);
+  });
+
+  test("allows spending when no cap is set", async () => {
+    await recordTransaction({
+      status: "confirmed",
+      value: ethers.parseEther("50").toString(),
+    });
+    const chain = createCappedChain({});
+    expect(await checkSpendingLimits(chain, ethers.parseEther("1"))).toBeNull();
+  });
+
+  test("refuses spending past the daily cap", async () => {
+    await recordTransaction({
+      status: "confirmed",
+      value: ethers.parseEther("9").toString(),
+    });
+    const chain = createCappedChain({ dailySpendCap: ethers.parseEther("10") });
+
+    expect(
+      await checkSpendingLimits(chain, ethers.parseEther("0.5"))
+    ).toBeNull();
+    expect(await checkSpendingLimits(chain, ethers.parseEther("2"))).toMatch(
+      /^Daily spend cap/
+    );
+  });
+
+  test("counts earlier days against the weekly cap only", async () => {
+    await recordTransaction({
+      status: "confirmed",
+      value: ethers.parseEther("9").toString(),
+      sentAt: "-3 days",
+    });
+    const chain = createCappedChain({
+      dailySpendCap: ethers.parseEther("5"),
+      weeklySpendCap: ethers.parseEther("10"),
+    });
+
+    expect(await checkSpendingLimits(chain, ethers.parseEther("2"))).toMatch(
+      /^Weekly spend cap/
+    );
+  });
+
+  test("counts pending transactions at their worst-case cost", async () => {
+    await recordTransaction({
+      status: "pending",
+      value: ethers.parseEther("4").toString(),
+      gasLimit: "1000000",
+      maxFeePerGas: ethers.parseUnits("1000", "gwei").toString(),
+    });
+    const chain = createCappedChain({ dailySpendCap: ethers.parseEther("5") });
+
+    // 4 sent plus up to 1 in gas leaves nothing under the cap
+    expect(await checkSpendingLimits(chain, 1n)).toMatch(/^Daily spend cap/);
+  });
+
+  test("counts only the gas of failed transactions", async () => {
+    await recordTransaction({
+      status: "failed",
+      value: ethers.parseEther("4").toString(),
+      gasCost: ethers.parseEther("0.1").toString(),
+    });
+    const chain = createCappedChain({ dailySpendCap: ethers.parseEther("1") });
+
+    expect(
+      await checkSpendingLimits(chain, ethers.parseEther("0.9"))
+    ).toBeNull();
+  });
+
+  test("refuses spending that would drop below the balance floor", async () => {
+    const chain = createCappedChain({ minBalance: ethers.parseEther("99.5") });
+
+    expect(
+      await checkSpendingLimits(chain, ethers.parseEther("0.5"))
+    ).toBeNull();
+    expect(await checkSpendingLimits(chain, ethers.parseEther("1"))).toMatch(
+      /would drop below the .* floor$/
+    );
+  });
+});
@@ -0,0 +1,147 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ethers } from "ethers";
+import { TX_CONFIG } from "../config.js";
+import { db, dbReady } from "../db.js";
+import { bumpFee, bumpTransaction } from "../tx.js";
+import { createTestChain } from "./helpers.js";
+
+const CHAIN_KEY = "tx-test";
+
+describe("bumpFee", () => {
+  test("raises a fee by the bump percentage", () => {
+    const fee = 1000n;
+    expect(bumpFee(fee, 10000n)).toBe(
+      (fee * (100n + TX_CONFIG.bumpPercent)) / 100n
+    );
+  });
+
+  test("refuses a raise that would go over the cap", () => {
+    expect(bumpFee(950n, 1000n)).toBeNull();
+    expect(bumpFee(1000n, 1000n)).toBeNull();
+  });
+
+  test("keeps each field under its own cap across repeated bumps", () => {
+    let maxFeePerGas = 100n;
+    let maxPriorityFeePerGas = 10n;
+    for (let bump = 0; bump < 50; bump++) {
+      maxFeePerGas = bumpFee(maxFeePerGas, 1000n) ?? maxFeePerGas;
+      maxPriorityFeePerGas =
+        bumpFee(maxPriorityFeePerGas, 20n) ?? maxPriorityFeePerGas;
+    }
+    expect(maxFeePerGas).toBeLessThanOrEqual(1000n);
+    expect(maxPriorityFeePerGas).toBeLessThanOrEqual(20n);
+  });
+});
+
+describe("bumpTransaction", () => {
+  // Signing is faked: the "signed" transaction encodes its fees, so each fee
+  // set gets its own hash
+  function createBumpChain(broadcastTransaction) {
+    const sent = [];
+    const chain = createTestChain(CHAIN_KEY, {
+      wallet: {
+        populateTransaction: async (request) => request,
+        signTransaction: async (request) =>
+          ethers.hexlify(
+            ethers.toUtf8Bytes(
+              JSON.stringify(request, (key, v) =>
+                typeof v === "bigint" ? v.toString() : v
+              )
+            )
+          ),
+      },
+      provider: {
+        broadcastTransaction: async (signed) => {
+          sent.push(signed);
+          return broadcastTransaction(signed);
+        },
+      },
+    });
+    return { chain, sent };
+  }
+
+  async function insertTransaction(fees) {
+    const { lastID } = await db.run(
+      `INSERT INTO transactions
+         (chain, method, args, to_address, data, nonce, gas_limit,
+          max_fee_per_gas, max_priority_fee_per_gas, hash)
+       VALUES (?, 'acceptClaim', '[]', '0x00', '0x', 0, '21000', ?, ?, '0xoriginal')`,
+      [CHAIN_KEY, fees.maxFeePerGas, fees.maxPriorityFeePerGas]
+    );
+    return db.get("SELECT * FROM transactions WHERE id = ?", [lastID]);
+  }
+
+  beforeEach(async () => {
+    await dbReady;
+    await db.run("DELETE FROM transactions WHERE chain = ?", [CHAIN_KEY]);
+  });
+
+  test("re-sends as is when the tip can't rise by the full percentage", async () => {
+    const tx = await insertTransaction({
+      maxFeePerGas: ethers.parseUnits("1", "gwei").toString(),
+      maxPriorityFeePerGas: TX_CONFIG.maxPriorityFeePerGas.toString(),
+    });
+    const { chain } = createBumpChain(async () => {});
+
+    await bumpTransaction(chain, tx);
+
+    expect(
+      await db.get(
+        "SELECT hash, bumps, max_fee_per_gas FROM transactions WHERE id = ?",
+        [tx.id]
+      )
+    ).toEqual({
+      hash: "0xoriginal",
+      bumps: 0,
+      max_fee_per_gas: tx.max_fee_per_gas,
+    });
+  });
+
+  test("keeps the stored hash when the replacement is refused", async () => {
+    const tx = await insertTransaction({
+      maxFeePerGas: ethers.parseUnits("1", "gwei").toString(),
+      maxPriorityFeePerGas: ethers.parseUnits("1", "gwei").toString(),
+    });
+    const { chain, sent } = createBumpChain(async () => {
+      throw Object.assign(new Error("replacement fee too low"), {
+        code: "REPLACEMENT_UNDERPRICED",
+      });
+    });
+
+    await bumpTransaction(chain, tx);
+
+    expect(sent).toHaveLength(1);
+    expect(
+      await db.get(
+        "SELECT hash, previous_hashes, bumps, max_fee_per_gas FROM transactions WHERE id = ?",
+        [tx.id]
+      )
+    ).toEqual({
+      hash: "0xoriginal",
+      previous_hashes: "[]",
+      bumps: 0,
+      max_fee_per_gas: tx.max_fee_per_gas,
+    });
+  });
+
+  test("records a bump the node accepted", async () => {
+    const tx = await insertTransaction({
+      maxFeePerGas: ethers.parseUnits("1", "gwei").toString(),
+      maxPriorityFeePerGas: ethers.parseUnits("1", "gwei").toString(),
+    });
+    const { chain, sent } = createBumpChain(async () => {});
+
+    await bumpTransaction(chain, tx);
+
+    expect(
+      await db.get(
+        "SELECT hash, previous_hashes, bumps FROM transactions WHERE id = ?",
+        [tx.id]
+      )
+    ).toEqual({
+      hash: ethers.keccak256(sent[0]),
+      previous_hashes: JSON.stringify(["0xoriginal"]),
+      bumps: 1,
+    });
+  });
+});
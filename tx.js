@@ -0,0 +1,480 @@
+import { ethers } from "ethers";
+import abi from "./abi.ts";
+import { TX_CONFIG } from "./config.js";
+import { db, dbReady } from "./db.js";
+import { checkSpendingLimits, sendAlert, spendLimitError } from "./spending.js";
+
+// Transaction manager
+// Serializes nonces for the bot wallet, caps gas, persists every transaction
+// and re-sends stuck ones with bumped fees.
+
+// The bounty contract has the same ABI on every chain
+const POIDH_INTERFACE = new ethers.Interface(abi);
+
+const CONTRACT_ERROR_MESSAGES = {
+  AlreadyVoted: "This address has already voted on the claim",
+  BountyAmountTooHigh: "Bounty amount is too high",
+  BountyClaimed: "Bounty already has an accepted claim or was cancelled",
+  BountyClosed: "Bounty is closed",
+  BountyNotFound: "Bounty does not exist",
+  ClaimNotFound: "Claim does not exist",
+  IssuerCannotClaim: "The bounty issuer cannot claim their own bounty",
+  IssuerCannotWithdraw: "The bounty issuer cannot withdraw from an open bounty",
+  NoEther: "No native currency was sent with the transaction",
+  NoVotingPeriodSet: "No voting period is set",
+  NotActiveParticipant: "Caller is not an active participant of the bounty",
+  NotOpenBounty: "Bounty is not an open bounty",
+  NotSoloBounty: "Bounty is not a solo bounty",
+  VotingOngoing: "A vote is still in progress for this bounty",
+  WrongCaller: "Only the bounty issuer can do this",
+  transferFailed: "Transferring the reward failed",
+};
+
+// Turn a revert carrying one of the contract's custom errors into a readable
+// error; anything else is returned unchanged
+function decodeContractError(error) {
+  // Providers nest revert data differently; some wrap it as { result }
+  const data = [error?.data, error?.info?.error?.data, error?.error?.data]
+    .map((candidate) => candidate?.result ?? candidate)
+    .find((candidate) => typeof candidate === "string" && candidate.length >= 10);
+  if (!data) {
+    return error;
+  }
+
+  let parsed = null;
+  try {
+    parsed = POIDH_INTERFACE.parseError(data);
+  } catch (e) {
+    // Not one of ours
+  }
+  if (!parsed) {
+    return error;
+  }
+
+  // require() messages and panics come through as Error(string)/Panic(uint)
+  const detail =
+    parsed.name === "Error" || parsed.name === "Panic"
+      ? String(parsed.args[0])
+      : CONTRACT_ERROR_MESSAGES[parsed.name] || "Contract reverted";
+  const decoded = new Error(`${parsed.name}: ${detail}`);
+  decoded.code = "CONTRACT_ERROR";
+  decoded.reason = parsed.name;
+  decoded.cause = error;
+  return decoded;
+}
+
+// Run fn after every send previously queued on the chain, so nonces are
+// handed out in order
+function enqueueTransaction(chain, fn) {
+  const run = chain.txQueue.then(fn, fn);
+  chain.txQueue = run.catch(() => {});
+  return run;
+}
+
+function isNonceError(error) {
+  const message = `${error?.message} ${error?.error?.message ?? ""}`;
+  return error?.code === "NONCE_EXPIRED" || /nonce/i.test(message);
+}
+
+// Whether the node explicitly refused a broadcast. Timeouts, dropped
+// connections and "already known" leave open whether the transaction reached
+// the mempool, so those are settled from receipts and the mined nonce instead.
+function isBroadcastRejected(error) {
+  const rpcMessage =
+    error?.error?.message ?? error?.info?.error?.message ?? "";
+  if (/already known|already imported|known transaction/i.test(rpcMessage)) {
+    return false;
+  }
+  return (
+    [
+      "INSUFFICIENT_FUNDS",
+      "NONCE_EXPIRED",
+      "REPLACEMENT_UNDERPRICED",
+      "UNSUPPORTED_OPERATION",
+    ].includes(error?.code) ||
+    (error?.code === "UNKNOWN_ERROR" && !!rpcMessage)
+  );
+}
+
+async function getFeeOverrides(chain) {
+  const feeData = await chain.provider.getFeeData();
+
+  if (feeData.maxFeePerGas !== null) {
+    const maxPriorityFeePerGas =
+      feeData.maxPriorityFeePerGas < TX_CONFIG.maxPriorityFeePerGas
+        ? feeData.maxPriorityFeePerGas
+        : TX_CONFIG.maxPriorityFeePerGas;
+    const maxFeePerGas =
+      feeData.maxFeePerGas < TX_CONFIG.maxFeePerGas
+        ? feeData.maxFeePerGas
+        : TX_CONFIG.maxFeePerGas;
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas:
+        maxPriorityFeePerGas < maxFeePerGas ? maxPriorityFeePerGas : maxFeePerGas,
+    };
+  }
+
+  return {
+    gasPrice:
+      feeData.gasPrice < TX_CONFIG.maxFeePerGas
+        ? feeData.gasPrice
+        : TX_CONFIG.maxFeePerGas,
+  };
+}
+
+// A fee raised by the bump percentage, or null if that would put it over its
+// cap. Nodes refuse replacements that raise a fee by less than their minimum,
+// so a partial raise is never sent.
+export function bumpFee(fee, cap) {
+  const bumped = (fee * (100n + TX_CONFIG.bumpPercent)) / 100n;
+  return bumped <= cap ? bumped : null;
+}
+
+// Estimate, sign and broadcast a contract call, then wait until one of its
+// hashes is mined. Returns { hash, receipt, id }; reverts are thrown decoded.
+// Budgeted transactions are refused when they would break the spend caps.
+// `target` defaults to the chain's bounty contract; `onRecorded(txId)` runs
+// once the signed transaction is stored, before it is broadcast.
+export async function sendContractTransaction(
+  chain,
+  method,
+  args = [],
+  { value = 0n, budgeted = false, target = chain.contract, onRecorded } = {}
+) {
+  const { provider, wallet } = chain;
+  const to = await target.getAddress();
+  const data = target.interface.encodeFunctionData(method, args);
+  const request = { to, data, value };
+
+  let estimatedGas;
+  try {
+    estimatedGas = await provider.estimateGas({
+      ...request,
+      from: wallet.address,
+    });
+  } catch (error) {
+    throw decodeContractError(error);
+  }
+
+  const gasLimit =
+    (estimatedGas * BigInt(Math.round(TX_CONFIG.gasLimitMultiplier * 100))) /
+    100n;
+  if (gasLimit > TX_CONFIG.maxGasLimit) {
+    throw new Error(
+      `${method} needs ${gasLimit} gas, above the ${TX_CONFIG.maxGasLimit} cap`
+    );
+  }
+
+  const txId = await enqueueTransaction(chain, async () => {
+    const fees = await getFeeOverrides(chain);
+
+    // Checked inside the queue so two budgeted sends can't both squeeze in
+    if (budgeted) {
+      const maxCost =
+        value + gasLimit * (fees.maxFeePerGas ?? fees.gasPrice);
+      const blocked = await checkSpendingLimits(chain, maxCost);
+      if (blocked) {
+        throw spendLimitError(blocked);
+      }
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      if (chain.nextNonce === null) {
+        chain.nextNonce = await provider.getTransactionCount(
+          wallet.address,
+          "pending"
+        );
+      }
+      const nonce = chain.nextNonce;
+
+      // Sign and store the hash before broadcasting, so a crash can never
+      // leave a broadcast transaction we have no record of
+      const signed = await wallet.signTransaction(
+        await wallet.populateTransaction({ ...request, nonce, gasLimit, ...fees })
+      );
+      const hash = ethers.keccak256(signed);
+
+      const { lastID } = await db.run(
+        `INSERT INTO transactions
+           (chain, method, args, to_address, data, value, nonce, gas_limit,
+            max_fee_per_gas, max_priority_fee_per_gas, gas_price, hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          chain.key,
+          method,
+          JSON.stringify(args, (key, v) =>
+            typeof v === "bigint" ? v.toString() : v
+          ),
+          to,
+          data,
+          value.toString(),
+          nonce,
+          gasLimit.toString(),
+          fees.maxFeePerGas?.toString() ?? null,
+          fees.maxPriorityFeePerGas?.toString() ?? null,
+          fees.gasPrice?.toString() ?? null,
+          hash,
+        ]
+      );
+      if (onRecorded) {
+        await onRecorded(lastID);
+      }
+
+      try {
+        await provider.broadcastTransaction(signed);
+      } catch (error) {
+        if (!isBroadcastRejected(error)) {
+          // It may have been accepted anyway: keep it pending so
+          // waitForTransaction() settles it, re-sending it if it went missing
+          console.warn(
+            `Broadcast of ${method} transaction ${hash} failed without a rejection, watching it: ${error.message}`
+          );
+          chain.nextNonce = nonce + 1;
+          return lastID;
+        }
+
+        // Our view of the nonce may be stale (the key was used elsewhere);
+        // re-read it and retry once
+        chain.nextNonce = null;
+        const decoded = decodeContractError(error);
+        await db.run(
+          `UPDATE transactions SET status = 'rejected', error = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [`Rejected by the node: ${decoded.message}`, lastID]
+        );
+        if (attempt > 1 || !isNonceError(error)) {
+          throw decoded;
+        }
+        console.warn(`Nonce ${nonce} rejected, resyncing from the node`);
+        continue;
+      }
+
+      chain.nextNonce = nonce + 1;
+      console.log(
+        `Transaction sent on ${chain.config.name}: ${method} ${hash} (nonce ${nonce})`
+      );
+      return lastID;
+    }
+  });
+
+  return waitForTransaction(chain, txId);
+}
+
+// Receipt of whichever hash sent for this nonce got mined, if any
+export async function findTransactionReceipt(chain, tx) {
+  for (const hash of [tx.hash, ...JSON.parse(tx.previous_hashes)]) {
+    const receipt = await chain.provider.getTransactionReceipt(hash);
+    if (receipt) {
+      return receipt;
+    }
+  }
+  return null;
+}
+
+// Poll for a receipt on any hash sent for this nonce, re-sending with bumped
+// fees while it stays stuck
+async function waitForTransaction(chain, txId) {
+  let lastSentAt = Date.now();
+
+  for (;;) {
+    const tx = await db.get("SELECT * FROM transactions WHERE id = ?", [txId]);
+    const receipt = await findTransactionReceipt(chain, tx);
+
+    if (receipt) {
+      const status = receipt.status === 1 ? "confirmed" : "failed";
+      await db.run(
+        `UPDATE transactions SET
+           status = ?, hash = ?, block_number = ?, gas_used = ?, gas_cost = ?,
+           error = ?, confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          status,
+          receipt.hash,
+          receipt.blockNumber,
+          receipt.gasUsed.toString(),
+          receipt.fee.toString(),
+          status === "failed" ? "Transaction reverted" : null,
+          txId,
+        ]
+      );
+
+      if (status === "failed") {
+        throw new Error(`${tx.method} transaction ${receipt.hash} reverted`);
+      }
+      return { id: txId, hash: receipt.hash, receipt };
+    }
+
+    if (Date.now() - lastSentAt >= TX_CONFIG.stuckAfterMs) {
+      // The nonce was used up by a transaction that isn't one of ours
+      const minedNonce = await chain.provider.getTransactionCount(
+        chain.wallet.address,
+        "latest"
+      );
+      if (minedNonce > tx.nonce && !(await findTransactionReceipt(chain, tx))) {
+        await db.run(
+          `UPDATE transactions SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          ["Nonce was used by another transaction", txId]
+        );
+        throw new Error(
+          `${tx.method} transaction ${tx.hash} was dropped, its nonce was used by another transaction`
+        );
+      }
+
+      await bumpTransaction(chain, tx);
+      lastSentAt = Date.now();
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, TX_CONFIG.receiptPollMs));
+  }
+}
+
+// Sign a stored transaction again with the given fees. Signing is
+// deterministic, so unchanged fees give back the stored hash.
+async function signStoredTransaction(chain, tx, fees) {
+  return chain.wallet.signTransaction(
+    await chain.wallet.populateTransaction({
+      to: tx.to_address,
+      data: tx.data,
+      value: BigInt(tx.value),
+      nonce: tx.nonce,
+      gasLimit: BigInt(tx.gas_limit),
+      ...fees,
+    })
+  );
+}
+
+// Fees for a replacement of a stored transaction, or null if one of them
+// can't be raised by the full bump percentage
+function getBumpedFees(tx) {
+  if (tx.gas_price) {
+    const gasPrice = bumpFee(BigInt(tx.gas_price), TX_CONFIG.maxFeePerGas);
+    return gasPrice === null ? null : { gasPrice };
+  }
+
+  // The tip stays under the fee cap, as both rise by the same percentage
+  const maxFeePerGas = bumpFee(
+    BigInt(tx.max_fee_per_gas),
+    TX_CONFIG.maxFeePerGas
+  );
+  const maxPriorityFeePerGas = bumpFee(
+    BigInt(tx.max_priority_fee_per_gas),
+    TX_CONFIG.maxPriorityFeePerGas
+  );
+  if (maxFeePerGas === null || maxPriorityFeePerGas === null) {
+    return null;
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+// Re-send a stuck transaction with the same nonce and higher fees
+export async function bumpTransaction(chain, tx) {
+  const current = tx.gas_price
+    ? { gasPrice: BigInt(tx.gas_price) }
+    : {
+        maxFeePerGas: BigInt(tx.max_fee_per_gas),
+        maxPriorityFeePerGas: BigInt(tx.max_priority_fee_per_gas),
+      };
+  const fees = getBumpedFees(tx);
+
+  try {
+    if (tx.bumps >= TX_CONFIG.maxBumps || !fees) {
+      // Nothing left to bump; re-send it as is in case it never reached
+      // the node
+      console.warn(
+        `Transaction ${tx.hash} is stuck but can't be bumped further, re-sending it`
+      );
+      if (!tx.stuck_alerted) {
+        await db.run("UPDATE transactions SET stuck_alerted = 1 WHERE id = ?", [
+          tx.id,
+        ]);
+        await sendAlert(
+          `${tx.method} transaction ${tx.hash} on ${chain.config.name} is stuck and can't be bumped further (${tx.bumps} bumps, fee caps reached: ${!fees})`
+        );
+      }
+      await chain.provider.broadcastTransaction(
+        await signStoredTransaction(chain, tx, current)
+      );
+      return;
+    }
+
+    const signed = await signStoredTransaction(chain, tx, fees);
+    const hash = ethers.keccak256(signed);
+
+    // Recorded first, like the original send
+    await recordTransactionFees(tx.id, {
+      hash,
+      previousHashes: [tx.hash, ...JSON.parse(tx.previous_hashes)],
+      bumps: tx.bumps + 1,
+      fees,
+    });
+    try {
+      await chain.provider.broadcastTransaction(signed);
+    } catch (error) {
+      if (isBroadcastRejected(error)) {
+        // The replacement never existed; keep watching the stored one
+        await recordTransactionFees(tx.id, {
+          hash: tx.hash,
+          previousHashes: JSON.parse(tx.previous_hashes),
+          bumps: tx.bumps,
+          fees: current,
+        });
+      }
+      throw error;
+    }
+
+    console.log(`Bumped stuck ${tx.method} transaction ${tx.hash} -> ${hash}`);
+  } catch (error) {
+    // Usually "nonce too low" (an earlier hash was mined meanwhile),
+    // "replacement underpriced" or "already known"
+    console.warn(`Could not bump transaction ${tx.hash}:`, error.message);
+  }
+}
+
+async function recordTransactionFees(txId, { hash, previousHashes, bumps, fees }) {
+  await db.run(
+    `UPDATE transactions SET
+       hash = ?, previous_hashes = ?, bumps = ?,
+       max_fee_per_gas = ?, max_priority_fee_per_gas = ?, gas_price = ?,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      hash,
+      JSON.stringify(previousHashes),
+      bumps,
+      fees.maxFeePerGas?.toString() ?? null,
+      fees.maxPriorityFeePerGas?.toString() ?? null,
+      fees.gasPrice?.toString() ?? null,
+      txId,
+    ]
+  );
+}
+
+// Keep watching transactions that were still pending when the bot stopped
+export async function resumePendingTransactions(chain) {
+  await dbReady;
+  const pending = await db.all(
+    "SELECT id, method, hash FROM transactions WHERE status = 'pending' AND chain = ?",
+    [chain.key]
+  );
+
+  for (const tx of pending) {
+    console.log(`Resuming pending ${tx.method} transaction ${tx.hash}`);
+    waitForTransaction(chain, tx.id).catch((error) =>
+      console.error(`Pending transaction ${tx.hash} failed:`, error.message)
+    );
+  }
+}
+
+export function parseReceiptEvents(receipt) {
+  return receipt.logs
+    .map((log) => {
+      try {
+        return POIDH_INTERFACE.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter((event) => event !== null);
+}